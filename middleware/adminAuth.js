@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { NotFoundError, UnauthorizedError } = require('../utils/errors');
+
+const log = createLogger('admin');
+
+/**
+ * Require the ADMIN_TOKEN (X-Admin-Token header or Authorization: Bearer)
+ * Admin routes are disabled entirely when no ADMIN_TOKEN is configured
+ */
+function adminAuth(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return next(new NotFoundError(`Endpoint ${req.method} ${req.originalUrl} not found`));
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const token = req.get('X-Admin-Token')
+    || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '');
+
+  // Compare hashes so the comparison is constant-time whatever the token length
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  if (!token || !crypto.timingSafeEqual(expected, actual)) {
+    log.warn('Rejected request', { ip: req.ip });
+    return next(new UnauthorizedError('A valid admin token is required.'));
+  }
+
+  next();
+}
+
+module.exports = adminAuth;
@@ -0,0 +1,102 @@
+const { findApiKey, consumeQuota } = require('../utils/apiKeyStore');
+const { recordRateLimitRejection } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+const { UnauthorizedError, RateLimitError } = require('../utils/errors');
+
+const log = createLogger('api-keys');
+
+// Quota endpoint for each model-backed route (paths relative to /api)
+const QUOTA_ROUTES = [
+  { method: 'POST', pattern: /^\/enhance-materials?$/, endpoint: 'enhance' },
+  { method: 'POST', pattern: /^\/generate-project$/, endpoint: 'generate' },
+  { method: 'POST', pattern: /^\/project-questions$/, endpoint: 'questions' },
+  { method: 'POST', pattern: /^\/refine-project$/, endpoint: 'refine' },
+  { method: 'POST', pattern: /^\/explain-step$/, endpoint: 'explain' },
+  { method: 'POST', pattern: /^\/step-chat\/[^/]+\/messages$/, endpoint: 'chat' },
+  { method: 'POST', pattern: /^\/troubleshoot$/, endpoint: 'troubleshoot' },
+  { method: 'POST', pattern: /^\/diagnose-photo$/, endpoint: 'diagnose' },
+];
+
+// Open without a key so load balancers and uptime checks keep working
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * API key from the X-API-Key header, or an Authorization: Bearer token
+ * @param {Object} req - Express request
+ * @returns {string|null} API key
+ */
+function getRequestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
+
+/**
+ * Requests a call counts as: each material in a batch counts as one enhance request
+ * @param {Object} req - Express request
+ * @param {string} endpoint - Quota endpoint name
+ * @returns {number} Cost
+ */
+function getRequestCost(req, endpoint) {
+  if (endpoint === 'enhance' && Array.isArray(req.body?.materials)) {
+    return Math.max(1, req.body.materials.length);
+  }
+  return 1;
+}
+
+/**
+ * Require a valid API key on /api and enforce its per-endpoint quotas
+ * Used instead of the per-IP rate limiter when API_KEYS_ENABLED=true
+ */
+async function apiKeyAuth(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const record = await findApiKey(getRequestKey(req));
+    if (!record) {
+      return next(new UnauthorizedError('A valid API key is required. Send it in the X-API-Key header.'));
+    }
+    req.apiKey = record;
+
+    const route = QUOTA_ROUTES.find((candidate) => candidate.method === req.method && candidate.pattern.test(req.path));
+    if (!route) {
+      return next();
+    }
+
+    const quota = consumeQuota(record, route.endpoint, getRequestCost(req, route.endpoint));
+    if (quota.limit !== null) {
+      res.set('RateLimit-Limit', String(quota.limit));
+      res.set('RateLimit-Remaining', String(quota.remaining));
+      res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((quota.resetsAt - Date.now()) / 1000))));
+    }
+
+    if (!quota.allowed) {
+      log.warn('Key exceeded quota', { prefix: record.prefix, endpoint: route.endpoint, limit: quota.limit });
+      recordRateLimitRejection('api_key');
+      return next(new RateLimitError(
+        'QUOTA_EXCEEDED',
+        `This API key has used its ${quota.limit} ${route.endpoint} requests for the current period.`,
+        {
+          retryAfter: Math.max(1, parseInt(res.get('RateLimit-Reset'))),
+          details: {
+            endpoint: route.endpoint,
+            limit: quota.limit,
+            used: quota.used,
+            resetsAt: new Date(quota.resetsAt).toISOString(),
+          },
+        }
+      ));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = apiKeyAuth;
@@ -1,57 +1,33 @@
+const { createLogger } = require('../utils/logger');
+const { NotFoundError, normalizeError, toErrorBody } = require('../utils/errors');
+
+const log = createLogger('error-handler');
+
 /**
  * Centralized error handling middleware
+ * Sends every error in the shared envelope (see utils/errors.js)
  */
 function errorHandler(err, req, res, next) {
-  console.error('[Error]', err);
-
-  // Default error response
-  const errorResponse = {
-    success: false,
-    error: 'Internal server error',
-    message: 'An unexpected error occurred. Please try again.',
-  };
-
-  // Customize response based on error type
-  if (err.message) {
-    // Check for known error patterns
-    if (err.message.includes('API key')) {
-      errorResponse.error = 'Configuration error';
-      errorResponse.message = 'Server configuration issue. Please contact support.';
-      return res.status(500).json(errorResponse);
-    }
+  const error = normalizeError(err);
 
-    if (err.message.includes('Rate limit')) {
-      errorResponse.error = 'Rate limit exceeded';
-      errorResponse.message = 'Too many requests. Please try again later.';
-      return res.status(429).json(errorResponse);
-    }
-
-    if (err.message.includes('Invalid JSON')) {
-      errorResponse.error = 'Invalid response';
-      errorResponse.message = 'Received invalid response from AI service. Please try again.';
-      return res.status(500).json(errorResponse);
-    }
-
-    if (err.message.includes('validation') || err.message.includes('Invalid project plan')) {
-      errorResponse.error = 'Validation error';
-      errorResponse.message = err.message;
-      return res.status(400).json(errorResponse);
-    }
+  // Client errors are expected; only server-side failures need a stack trace
+  if (error.status >= 500) {
+    log.error('Request failed', { error: err, code: error.code, method: req.method, path: req.path });
+  } else {
+    log.warn('Request rejected', { code: error.code, message: error.message, method: req.method, path: req.path });
   }
 
-  // Send generic error response
-  res.status(500).json(errorResponse);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json(toErrorBody(error));
 }
 
 /**
  * Handle 404 errors
  */
-function notFoundHandler(req, res) {
-  res.status(404).json({
-    success: false,
-    error: 'Not found',
-    message: `Endpoint ${req.method} ${req.path} not found`,
-  });
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Endpoint ${req.method} ${req.path} not found`));
 }
 
 module.exports = {
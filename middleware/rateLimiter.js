@@ -1,24 +1,25 @@
 const rateLimit = require('express-rate-limit');
+const { recordRateLimitRejection } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+const { RateLimitError } = require('../utils/errors');
+
+const log = createLogger('rate-limit');
 
 // Create rate limiter middleware
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 3600000, // 1 hour
   max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // 100 requests per window
-  message: {
-    success: false,
-    error: 'Too many requests',
-    message: 'Too many requests from this IP. Please try again later.',
-    retryAfter: '1 hour',
-  },
   standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
   legacyHeaders: false, // Disable `X-RateLimit-*` headers
-  handler: (req, res) => {
-    console.warn(`[RateLimit] IP ${req.ip} exceeded rate limit`);
-    res.status(429).json({
-      success: false,
-      error: 'Too many requests',
-      message: 'You have exceeded the rate limit. Please try again later.',
-    });
+  // Polling an async job is free; the request that queued it was already counted
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/'),
+  handler: (req, res, next) => {
+    log.warn('IP exceeded rate limit', { ip: req.ip });
+    recordRateLimitRejection('ip');
+    const resetTime = req.rateLimit?.resetTime;
+    next(new RateLimitError('RATE_LIMITED', 'You have exceeded the rate limit. Please try again later.', {
+      retryAfter: resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : undefined,
+    }));
   },
 });
 
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const { runWithRequestContext } = require('../utils/logger');
+
+// Accept caller IDs that are safe to echo in a header and a log line
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID: the caller's X-Request-Id when valid, else a new UUID
+ * The ID is echoed in the X-Request-Id response header, set as req.id, and bound to the
+ * async context so log lines and upstream model calls made for this request carry it
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+  runWithRequestContext({ requestId: id }, next);
+}
+
+module.exports = requestId;
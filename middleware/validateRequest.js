@@ -0,0 +1,22 @@
+const { validateAgainst } = require('../utils/schemas');
+const { RequestValidationError } = require('../utils/errors');
+
+/**
+ * Validate req.body against a named JSON Schema
+ * Fails with a RequestValidationError (400) carrying field-level errors when the body does not match
+ * @param {string} schemaName - Schema name from utils/schemas
+ * @returns {Function} Express middleware
+ */
+function validateBody(schemaName) {
+  return (req, res, next) => {
+    const validation = validateAgainst(schemaName, req.body);
+    if (!validation.valid) {
+      return next(new RequestValidationError(validation.error, validation.errors));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validateBody,
+};
@@ -0,0 +1,96 @@
+/**
+ * Admin API Routes
+ * Issue, list and revoke API keys (requires ADMIN_TOKEN)
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { validateBody } = require('../middleware/validateRequest');
+const { createApiKey, listApiKeys, getApiKey, revokeApiKey } = require('../utils/apiKeyStore');
+const { NotFoundError } = require('../utils/errors');
+
+router.use(adminAuth);
+
+/**
+ * Error for an unknown key
+ * @param {string} id - Requested key ID
+ * @returns {NotFoundError} 404 error
+ */
+function keyNotFound(id) {
+  return new NotFoundError(`API key ${id} not found`);
+}
+
+/**
+ * GET /api/admin/keys
+ * List API keys with their quotas and usage
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listApiKeys(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Issue a new API key; the plain key is only returned here
+ */
+router.post('/keys', validateBody('createApiKeyRequest'), async (req, res, next) => {
+  try {
+    const { key, record } = await createApiKey(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { ...record, key },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Get one API key with its usage
+ */
+router.get('/keys/:id', async (req, res, next) => {
+  try {
+    const record = await getApiKey(req.params.id);
+    if (!record) {
+      return next(keyNotFound(req.params.id));
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key (the record and its usage are kept)
+ */
+router.delete('/keys/:id', async (req, res, next) => {
+  try {
+    const record = await revokeApiKey(req.params.id);
+    if (!record) {
+      return next(keyNotFound(req.params.id));
+    }
+
+    res.json({
+      success: true,
+      data: record,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Photo Diagnosis API Routes
+ * Identifies a home problem from photos and suggests a project to fix it
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { diagnosePhotoWithRetry } = require('../services/claudeService');
+const { getCached, setCached, singleFlight, getStaleFallback } = require('../utils/cache');
+const { validateBody } = require('../middleware/validateRequest');
+const { normalizeImage } = require('../utils/images');
+const { createLogger } = require('../utils/logger');
+const { RequestValidationError } = require('../utils/errors');
+
+const log = createLogger('diagnose-photo');
+
+/**
+ * POST /api/diagnose-photo
+ * Diagnose the problem shown in 1-4 base64 images
+ * Has its own, larger JSON body limit (DIAGNOSE_PHOTO_MAX_BODY, mounted in server.js)
+ */
+router.post('/diagnose-photo', validateBody('diagnosePhotoRequest'), async (req, res, next) => {
+  try {
+    const { description, context } = req.body;
+
+    // Decode and check every image before paying for a model call
+    const images = [];
+    const errors = [];
+    req.body.images.forEach((input, index) => {
+      const result = normalizeImage(input);
+      if (result.valid) {
+        images.push(result.image);
+      } else {
+        errors.push({ path: `images[${index}].data`, message: result.error });
+      }
+    });
+
+    if (errors.length > 0) {
+      const message = errors.map((field) => `${field.path} ${field.message}`).join('; ');
+      return next(new RequestValidationError(message, errors));
+    }
+
+    // Check cache first (based on image bytes + description hash)
+    const hash = crypto.createHash('sha256');
+    for (const image of images) {
+      hash.update(image.data).update('\n');
+    }
+    hash.update(`${(description || '').toLowerCase().trim()}\n${context?.homeType || ''}`);
+    const cacheKey = `diagnose_${hash.digest('hex')}`;
+    const cached = getCached(cacheKey);
+
+    if (cached) {
+      log.info('Cache hit for photo diagnosis');
+      return res.json({
+        success: true,
+        data: cached,
+        cached: true,
+      });
+    }
+
+    const totalKb = Math.round(images.reduce((sum, image) => sum + image.bytes, 0) / 1024);
+    log.info('Cache miss, calling the model', { images: images.length, totalKb });
+
+    // Identical requests already in flight share this call; the response is cached inside it
+    let outcome;
+    try {
+      outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await diagnosePhotoWithRetry({ images, description, context });
+        setCached(cacheKey, fresh.result);
+        return fresh;
+      });
+    } catch (error) {
+      // Model unreachable: fall back to the expired diagnosis
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      return res.json({
+        success: true,
+        data: stale,
+        cached: true,
+        stale: true,
+      });
+    }
+    const { result: diagnosis, meta } = outcome;
+
+    res.json({
+      success: true,
+      data: diagnosis,
+      cached: false,
+      meta,
+    });
+  } catch (error) {
+    log.error('Error diagnosing photo', { error });
+
+    // Pass to error handler middleware
+    next(error);
+  }
+});
+
+module.exports = router;
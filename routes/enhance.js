@@ -2,26 +2,34 @@ const express = require('express');
 const router = express.Router();
 const { getProductRecommendationWithRetry } = require('../services/claudeService');
 const { validateMaterialData } = require('../utils/promptBuilder');
-const { generateCacheKey, getCached, setCached } = require('../utils/cache');
+const {
+  generateCacheKey,
+  getCached,
+  setCached,
+  singleFlight,
+  getStaleFallback,
+} = require('../utils/cache');
+const { validateBody } = require('../middleware/validateRequest');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { getBudgetStatus } = require('../utils/budgetGuard');
+const { getQueueStats } = require('../utils/jobQueue');
+const { getCircuitStatus } = require('../services/providers/circuitBreaker');
+const { createLogger } = require('../utils/logger');
+const { RequestValidationError, toErrorBody } = require('../utils/errors');
+
+const log = createLogger('enhance');
+
+const BATCH_MAX_ITEMS = parseInt(process.env.ENHANCE_BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.ENHANCE_BATCH_CONCURRENCY) || 3;
 
 /**
  * POST /api/enhance-material
  * Enhance a generic material with AI-powered product recommendations
  */
-router.post('/enhance-material', async (req, res, next) => {
+router.post('/enhance-material', validateBody('enhanceMaterialRequest'), async (req, res, next) => {
   try {
     const materialData = req.body;
 
-    // Validate input
-    const validation = validateMaterialData(materialData);
-    if (!validation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation error',
-        message: validation.error,
-      });
-    }
-
     // Check cache
     const cacheKey = generateCacheKey(materialData);
     const cachedRecommendation = getCached(cacheKey);
@@ -36,12 +44,31 @@ router.post('/enhance-material', async (req, res, next) => {
       });
     }
 
-    // Call Claude API
-    console.log(`[API] Processing request for: ${materialData.name}`);
-    const recommendation = await getProductRecommendationWithRetry(materialData);
-
-    // Cache the result
-    setCached(cacheKey, recommendation);
+    // Call Claude API, sharing the call with identical requests already in flight
+    log.info('Cache miss, calling the model', { material: materialData.name });
+    let outcome;
+    try {
+      outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await getProductRecommendationWithRetry(materialData);
+        setCached(cacheKey, fresh.result);
+        return fresh;
+      });
+    } catch (error) {
+      // While the model is unreachable, an expired recommendation beats an error
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      return res.json({
+        success: true,
+        data: {
+          recommendation: stale,
+        },
+        cached: true,
+        stale: true,
+      });
+    }
+    const { result: recommendation, meta } = outcome;
 
     // Return recommendation
     res.json({
@@ -50,6 +77,132 @@ router.post('/enhance-material', async (req, res, next) => {
         recommendation,
       },
       cached: false,
+      meta,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/enhance-materials
+ * Enhance a whole shopping list in one request
+ * Cache hits are served directly; only misses go to Claude, with bounded concurrency.
+ * One item failing does not fail the batch.
+ */
+router.post('/enhance-materials', validateBody('enhanceMaterialsRequest'), async (req, res, next) => {
+  try {
+    const { materials, projectContext } = req.body;
+
+    if (materials.length > BATCH_MAX_ITEMS) {
+      return next(new RequestValidationError(`A batch may contain at most ${BATCH_MAX_ITEMS} materials`));
+    }
+
+    const results = new Array(materials.length);
+    const pendingByKey = new Map(); // cacheKey -> { materialData, indexes }
+
+    materials.forEach((material, index) => {
+      // Shared project context applies unless the item brings its own
+      const materialData = material && typeof material === 'object'
+        ? { ...material, projectContext: material.projectContext || projectContext }
+        : material;
+
+      const validation = validateMaterialData(materialData);
+      if (!validation.valid) {
+        results[index] = {
+          index,
+          ...toErrorBody(new RequestValidationError(validation.error, validation.errors)),
+        };
+        return;
+      }
+
+      const cacheKey = generateCacheKey(materialData);
+      const cachedRecommendation = getCached(cacheKey);
+
+      if (cachedRecommendation) {
+        results[index] = {
+          index,
+          name: materialData.name,
+          success: true,
+          recommendation: cachedRecommendation,
+          cached: true,
+        };
+        return;
+      }
+
+      // Identical materials in one batch share a single Claude call
+      if (pendingByKey.has(cacheKey)) {
+        pendingByKey.get(cacheKey).indexes.push(index);
+      } else {
+        pendingByKey.set(cacheKey, { materialData, indexes: [index] });
+      }
+    });
+
+    const pending = Array.from(pendingByKey.entries());
+    log.info('Batch received', { materials: materials.length, uncached: pending.length });
+
+    // Misses also join identical requests in flight from other batches or /enhance-material;
+    // while the model is unreachable, expired recommendations are served as stale
+    const outcomes = await mapWithConcurrency(pending, BATCH_CONCURRENCY, ([cacheKey, { materialData }]) =>
+      singleFlight(cacheKey, async () => {
+        const outcome = await getProductRecommendationWithRetry(materialData);
+        setCached(cacheKey, outcome.result);
+        return outcome;
+      }).catch((error) => {
+        const stale = getStaleFallback(cacheKey, error);
+        if (!stale) {
+          throw error;
+        }
+        return { result: stale, stale: true };
+      })
+    );
+
+    outcomes.forEach((outcome, i) => {
+      const { materialData, indexes } = pending[i][1];
+
+      for (const index of indexes) {
+        if (outcome.status === 'fulfilled' && outcome.value.stale) {
+          results[index] = {
+            index,
+            name: materialData.name,
+            success: true,
+            recommendation: outcome.value.result,
+            cached: true,
+            stale: true,
+          };
+        } else if (outcome.status === 'fulfilled') {
+          results[index] = {
+            index,
+            name: materialData.name,
+            success: true,
+            recommendation: outcome.value.result,
+            cached: false,
+            meta: outcome.value.meta,
+          };
+        } else {
+          log.error('Batch item failed', { material: materialData.name, error: outcome.reason.message });
+          results[index] = {
+            index,
+            name: materialData.name,
+            ...toErrorBody(outcome.reason),
+          };
+        }
+      }
+    });
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+          cached: results.filter((result) => result.cached).length,
+        },
+      },
     });
   } catch (error) {
     next(error);
@@ -59,13 +212,21 @@ router.post('/enhance-material', async (req, res, next) => {
 /**
  * GET /api/health
  * Health check endpoint
+ * Reports "degraded" (still 200) while a provider's circuit is open, since cached and stale
+ * responses are still being served
  */
 router.get('/health', (req, res) => {
+  const circuits = getCircuitStatus();
+  const degraded = Object.values(circuits).some((circuit) => circuit.state !== 'closed');
+
   res.json({
     success: true,
-    status: 'healthy',
+    status: degraded ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     service: 'diy-hub-backend',
+    budget: getBudgetStatus(),
+    jobs: getQueueStats(),
+    circuits,
   });
 });
 
@@ -6,39 +6,91 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const { buildStepExplanationPrompt, validateStepData } = require('../utils/promptBuilder');
-const { explainStepWithRetry } = require('../services/claudeService');
-const { getCached, setCached } = require('../utils/cache');
+const { explainStepWithRetry, validateProjectPlan } = require('../services/claudeService');
+const { getCached, setCached, singleFlight, getStaleFallback } = require('../utils/cache');
+const { validateBody } = require('../middleware/validateRequest');
+const { getProject } = require('../utils/projectStore');
+const { normalizeStep, findPlanStep, findPlanStepNumber } = require('../utils/planSteps');
+const { createLogger } = require('../utils/logger');
+const { NotFoundError, RequestValidationError } = require('../utils/errors');
+
+const log = createLogger('explain-step');
+
+/**
+ * Gather everything the explanation prompt should see about a step
+ * With a plan, the step is located in it (by number, then title) so the prompt also
+ * gets the plan's instruction, warning, neighbouring steps and tool list
+ * @param {Object} body - Validated request body
+ * @param {Object} plan - Plan the step belongs to, if known
+ * @returns {Object} { stepTitle, projectTitle, projectCategory, step, previousStep, nextStep, tools }
+ */
+function buildStepData(body, plan) {
+  let step = body.step ? normalizeStep(body.step) : { title: body.stepTitle };
+
+  const stepData = {
+    stepTitle: step.title,
+    projectTitle: body.projectTitle || plan?.title || null,
+    projectCategory: body.projectCategory || plan?.category || null,
+  };
+
+  if (plan) {
+    const stepNumber = step.stepNumber || findPlanStepNumber(plan, step.title);
+    const planStep = stepNumber ? findPlanStep(plan, stepNumber) : null;
+    if (planStep) {
+      // Fields sent by the client win over the saved plan
+      step = { ...planStep, ...Object.fromEntries(Object.entries(step).filter(([, value]) => value)) };
+      stepData.previousStep = findPlanStep(plan, planStep.stepNumber - 1);
+      stepData.nextStep = findPlanStep(plan, planStep.stepNumber + 1);
+    }
+    stepData.tools = (plan.tools || []).map((tool) => tool.name);
+  }
+
+  stepData.step = step;
+  return stepData;
+}
 
 /**
  * POST /api/explain-step
  * Get a detailed AI explanation of a project step
  */
-router.post('/explain-step', async (req, res, next) => {
+router.post('/explain-step', validateBody('explainStepRequest'), async (req, res, next) => {
   try {
-    const stepData = req.body;
-
-    // Validate request
-    const validation = validateStepData(stepData);
-    if (!validation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        message: validation.error,
-      });
+    const { projectId } = req.body;
+    let plan = req.body.plan;
+
+    // Load the saved plan when referenced by ID
+    if (projectId) {
+      const project = await getProject(projectId, req.apiKey?.id);
+      if (!project) {
+        return next(new NotFoundError(`Project ${projectId} not found`));
+      }
+      plan = project.plan;
+    } else if (plan) {
+      const validation = validateProjectPlan(plan);
+      if (!validation.valid) {
+        return next(new RequestValidationError(
+          `Invalid plan: ${validation.error}`,
+          validation.errors.map((field) => ({ ...field, path: `plan.${field.path}` }))
+        ));
+      }
     }
 
-    // Check cache first (based on step title + project title hash)
-    const cacheContent = `${stepData.stepTitle}_${stepData.projectTitle || ''}`;
+    const stepData = buildStepData(req.body, plan);
+
+    // Check cache first (based on a hash of everything the prompt sees)
+    const cacheContent = JSON.stringify({
+      ...stepData,
+      stepTitle: stepData.stepTitle.toLowerCase().trim(),
+    });
     const stepHash = crypto
       .createHash('sha256')
-      .update(cacheContent.toLowerCase().trim())
+      .update(cacheContent)
       .digest('hex');
     const cacheKey = `step_${stepHash}`;
     const cached = getCached(cacheKey);
 
     if (cached) {
-      console.log('[explain-step] Cache hit for step explanation');
+      log.info('Cache hit for step explanation');
       return res.json({
         success: true,
         data: cached,
@@ -46,52 +98,44 @@ router.post('/explain-step', async (req, res, next) => {
       });
     }
 
-    console.log('[explain-step] Cache miss, calling Claude API for step explanation');
-
-    // Call Claude API with retry logic
-    const explanation = await explainStepWithRetry(stepData);
+    log.info('Cache miss, calling the model for step explanation');
 
-    // Validate the response has required fields
-    if (!explanation || typeof explanation !== 'object') {
-      console.error('[explain-step] Invalid explanation response:', explanation);
-      return res.status(500).json({
-        success: false,
-        error: 'Invalid response',
-        message: 'AI returned invalid response format',
+    // Call Claude API with retry logic (response is schema-validated in claudeService),
+    // sharing the call with identical requests already in flight
+    let outcome;
+    try {
+      outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await explainStepWithRetry(stepData);
+        setCached(cacheKey, fresh.result);
+        return fresh;
       });
-    }
-
-    // Check for required fields
-    const requiredFields = ['explanation', 'keyPoints', 'visualCues', 'estimatedTime', 'commonMistakes'];
-    const missingFields = requiredFields.filter(field => !explanation[field]);
-    if (missingFields.length > 0) {
-      console.error('[explain-step] Missing required fields:', missingFields);
-      return res.status(500).json({
-        success: false,
-        error: 'Incomplete response',
-        message: `AI response missing fields: ${missingFields.join(', ')}`,
+    } catch (error) {
+      // Serve the expired explanation while the model is unreachable
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      return res.json({
+        success: true,
+        data: stale,
+        cached: true,
+        stale: true,
       });
     }
-
-    // Cache the response
-    setCached(cacheKey, explanation);
+    const { result: explanation, meta } = outcome;
 
     // Return success
     res.json({
       success: true,
       data: explanation,
       cached: false,
+      meta,
     });
   } catch (error) {
-    console.error('[explain-step] Error explaining step:', error);
-    console.error('[explain-step] Error stack:', error.stack);
-
-    // Return proper error response instead of passing to middleware
-    res.status(500).json({
-      success: false,
-      error: 'Server error',
-      message: error.message || 'Failed to generate explanation',
-    });
+    log.error('Error explaining step', { error });
+
+    // Pass to error handler middleware
+    next(error);
   }
 });
 
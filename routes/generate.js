@@ -7,66 +7,464 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const {
-  buildProjectGenerationPrompt,
-  validateProjectData,
-} = require('../utils/promptBuilder');
-const { generateProjectPlanWithRetry } = require('../services/claudeService');
-const { getCached, setCached } = require('../utils/cache');
+  generateProjectPlanWithRetry,
+  generateProjectPlanStream,
+  generateProjectQuestionsWithRetry,
+  refineProjectPlanWithRetry,
+  validateProjectPlan,
+} = require('../services/claudeService');
+const { getCached, setCached, singleFlight, getStaleFallback } = require('../utils/cache');
+const { wantsEventStream, openEventStream, sendEvent } = require('../utils/sse');
+const { validateBody } = require('../middleware/validateRequest');
+const { saveProject, getProject, findProjectByCacheKey } = require('../utils/projectStore');
+const { diffPlans } = require('../utils/planDiff');
+const { createLogger } = require('../utils/logger');
+const { enqueueJob } = require('../utils/jobQueue');
+const { assertWithinBudget } = require('../utils/budgetGuard');
+const { callbacksEnabled, assertCallbackUrlAllowed } = require('../utils/callbacks');
+const { NotFoundError, RequestValidationError, toErrorBody } = require('../utils/errors');
+
+const log = createLogger('generate');
 
 /**
- * POST /api/generate-project
- * Generate a complete DIY project plan from a description
+ * Persist a generated plan so it can be fetched by ID later
+ * A storage failure is logged but does not fail the (already paid for) generation
+ * @param {Object} projectPlan - Validated project plan
+ * @param {Object} projectData - Original request
+ * @param {string} cacheKey - Cache key of the request
+ * @param {string|null} owner - API key ID of the caller
+ * @param {string} parentId - ID of the project this plan was refined from, if any
+ * @returns {Promise<string|null>} Project ID, or null if it could not be saved
  */
-router.post('/generate-project', async (req, res, next) => {
+async function persistProject(projectPlan, projectData, cacheKey, owner, parentId) {
   try {
-    const projectData = req.body;
+    const record = await saveProject(projectPlan, {
+      description: projectData.description,
+      context: projectData.context,
+      cacheKey,
+      parentId,
+      owner,
+    });
+    return record.id;
+  } catch (error) {
+    log.error('Failed to save project', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Project ID for a cache hit: the caller's project saved when the plan was generated,
+ * or a newly saved one if it was deleted, predates saved projects or belongs to another key
+ * @param {Object} projectPlan - Cached project plan
+ * @param {Object} projectData - Original request
+ * @param {string} cacheKey - Cache key of the request
+ * @param {string|null} owner - API key ID of the caller
+ * @param {string} parentId - ID of the project this plan was refined from, if any
+ * @returns {Promise<string|null>} Project ID
+ */
+async function resolveCachedProjectId(projectPlan, projectData, cacheKey, owner, parentId) {
+  const existing = await findProjectByCacheKey(cacheKey, owner);
+  return existing ? existing.id : persistProject(projectPlan, projectData, cacheKey, owner, parentId);
+}
 
-    // Validate request
-    const validation = validateProjectData(projectData);
-    if (!validation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        message: validation.error,
+/**
+ * Single-flight key for saving a plan: identical requests share the model call (keyed by
+ * cacheKey alone), but each owner gets its own saved project
+ * @param {string} cacheKey - Cache key of the request
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {string} Key
+ */
+function ownedFlightKey(cacheKey, owner) {
+  return `${cacheKey}:owner:${owner || ''}`;
+}
+
+/**
+ * Generate, cache and save a project plan
+ * Identical requests already in flight share the model call, and the saved project when
+ * they come from the same owner.
+ * While the model is unreachable, an expired plan is returned instead, flagged `stale`.
+ * @param {Object} projectData - Validated project request information
+ * @param {string} cacheKey - Cache key for the finished plan
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {Promise<Object>} { projectPlan, projectId, meta } or { projectPlan, projectId, stale: true }
+ */
+async function generateAndSaveProject(projectData, cacheKey, owner) {
+  try {
+    return await singleFlight(ownedFlightKey(cacheKey, owner), async () => {
+      const outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await generateProjectPlanWithRetry(projectData);
+        setCached(cacheKey, fresh.result);
+        return fresh;
       });
+      return {
+        projectPlan: outcome.result,
+        projectId: await persistProject(outcome.result, projectData, cacheKey, owner),
+        meta: outcome.meta,
+      };
+    });
+  } catch (error) {
+    const stale = getStaleFallback(cacheKey, error);
+    if (!stale) {
+      throw error;
+    }
+    return {
+      projectPlan: stale,
+      projectId: await resolveCachedProjectId(stale, projectData, cacheKey, owner),
+      stale: true,
+    };
+  }
+}
+
+/**
+ * Job body for POST /api/generate-project?async=1
+ * @param {Object} projectData - Validated project request information
+ * @param {string} cacheKey - Cache key for the finished plan
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {Promise<Object>} { data, projectId, cached, meta | stale } - the synchronous response fields
+ */
+async function runProjectJob(projectData, cacheKey, owner) {
+  const cached = getCached(cacheKey);
+  if (cached) {
+    log.info('Cache hit for project generation job');
+    return {
+      data: cached,
+      projectId: await resolveCachedProjectId(cached, projectData, cacheKey, owner),
+      cached: true,
+    };
+  }
+
+  const { projectPlan, projectId, meta, stale } = await generateAndSaveProject(projectData, cacheKey, owner);
+  return {
+    data: projectPlan,
+    projectId,
+    ...(stale ? { cached: true, stale } : { cached: false, meta }),
+  };
+}
+
+/**
+ * Check whether the client asked for a background job (`?async=1`)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request should be queued
+ */
+function wantsAsyncJob(req) {
+  return req.query?.async === '1' || req.query?.async === 'true';
+}
+
+/**
+ * Stream a project plan to the client as Server-Sent Events
+ * Events: progress ({ stage }), step (one parsed step), done (validated plan), error
+ * Streams are not shared with identical requests in flight: each one belongs to its client
+ * and is aborted when that client disconnects
+ * @param {Object} res - Express response
+ * @param {Object} projectData - Validated project request information
+ * @param {string} cacheKey - Cache key for the finished plan
+ * @param {string|null} owner - API key ID of the caller
+ */
+async function streamProjectPlan(res, projectData, cacheKey, owner) {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      log.info('Client disconnected, aborting stream');
+      abortController.abort();
     }
+  });
 
-    // Check cache first (based on description hash)
+  openEventStream(res);
+  sendEvent(res, 'progress', { stage: 'started' });
+
+  try {
+    const { result: projectPlan, meta } = await generateProjectPlanStream(projectData, {
+      onStep: (step) => sendEvent(res, 'step', step),
+      onProgress: (progress) => sendEvent(res, 'progress', progress),
+      signal: abortController.signal,
+    });
+
+    // Cache the response
+    setCached(cacheKey, projectPlan);
+    const projectId = await persistProject(projectPlan, projectData, cacheKey, owner);
+
+    sendEvent(res, 'done', {
+      success: true,
+      data: projectPlan,
+      projectId,
+      cached: false,
+      meta,
+    });
+  } catch (error) {
+    // While the model is unreachable, finish with the expired plan instead
+    const stale = getStaleFallback(cacheKey, error);
+    if (stale) {
+      sendEvent(res, 'done', {
+        success: true,
+        data: stale,
+        projectId: await resolveCachedProjectId(stale, projectData, cacheKey, owner),
+        cached: true,
+        stale: true,
+      });
+      return res.end();
+    }
+
+    log.error('Error streaming project', { error });
+
+    // Headers are already sent, so report the failure in-band, in the usual error envelope
+    sendEvent(res, 'error', toErrorBody(error));
+  }
+
+  res.end();
+}
+
+/**
+ * POST /api/generate-project
+ * Generate a complete DIY project plan from a description
+ * Streams Server-Sent Events when requested via `Accept: text/event-stream` or `?stream=1`.
+ * With `?async=1` it queues a job and returns 202 with its ID; poll GET /api/jobs/:id, or pass
+ * `callbackUrl` to be sent the finished job.
+ */
+router.post('/generate-project', validateBody('generateProjectRequest'), async (req, res, next) => {
+  try {
+    const { callbackUrl, ...projectData } = req.body;
+    const owner = req.apiKey?.id;
+
+    // Check cache first (based on description hash, plus clarifying answers if any)
+    let cacheContent = projectData.description.toLowerCase().trim();
+    if (projectData.answers?.length) {
+      cacheContent += `\n${JSON.stringify(projectData.answers.map(({ question, answer }) => [question, answer]))}`;
+    }
     const descriptionHash = crypto
       .createHash('sha256')
-      .update(projectData.description.toLowerCase().trim())
+      .update(cacheContent)
       .digest('hex');
     const cacheKey = `project_${descriptionHash}`;
+
+    if (callbackUrl && !wantsAsyncJob(req)) {
+      return next(new RequestValidationError('callbackUrl is only used with ?async=1'));
+    }
+    if (callbackUrl && !callbacksEnabled()) {
+      return next(new RequestValidationError('Callbacks are not enabled on this server'));
+    }
+    if (callbackUrl) {
+      await assertCallbackUrlAllowed(callbackUrl);
+    }
+
+    if (wantsAsyncJob(req)) {
+      const job = enqueueJob('generate-project', () => runProjectJob(projectData, cacheKey, owner), {
+        requestId: req.id,
+        owner,
+        callbackUrl,
+      });
+
+      res.status(202).set('Location', `/api/jobs/${job.id}`);
+      return res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    }
+
     const cached = getCached(cacheKey);
 
     if (cached) {
-      console.log('[generate] Cache hit for project generation');
+      log.info('Cache hit for project generation');
+      const projectId = await resolveCachedProjectId(cached, projectData, cacheKey, owner);
+
+      // Replay cache hits as a single done event so streaming clients have one code path
+      if (wantsEventStream(req)) {
+        openEventStream(res);
+        sendEvent(res, 'done', {
+          success: true,
+          data: cached,
+          projectId,
+          cached: true,
+        });
+        return res.end();
+      }
+
       return res.json({
         success: true,
         data: cached,
+        projectId,
         cached: true,
       });
     }
 
-    console.log('[generate] Cache miss, calling Claude API for project generation');
+    log.info('Cache miss, calling the model for project generation');
 
-    // Build prompt
-    const prompt = buildProjectGenerationPrompt(projectData);
+    if (wantsEventStream(req)) {
+      // Checked before the stream opens, so an exhausted budget is a 503 here too, not an in-band error
+      assertWithinBudget();
+      return streamProjectPlan(res, projectData, cacheKey, owner);
+    }
 
     // Call Claude API with retry logic
-    const projectPlan = await generateProjectPlanWithRetry(projectData);
-
-    // Cache the response
-    setCached(cacheKey, projectPlan);
+    const { projectPlan, projectId, meta, stale } = await generateAndSaveProject(projectData, cacheKey, owner);
 
     // Return success
     res.json({
       success: true,
       data: projectPlan,
+      projectId,
+      ...(stale ? { cached: true, stale } : { cached: false, meta }),
+    });
+  } catch (error) {
+    log.error('Error generating project', { error });
+
+    // Pass to error handler middleware
+    next(error);
+  }
+});
+
+/**
+ * POST /api/project-questions
+ * Get 2-5 clarifying questions for a description before generating the plan
+ * Send the answers back to /api/generate-project as `answers: [{ question, answer }]`
+ */
+router.post('/project-questions', validateBody('projectQuestionsRequest'), async (req, res, next) => {
+  try {
+    const projectData = req.body;
+
+    // Check cache first (based on description hash)
+    const descriptionHash = crypto
+      .createHash('sha256')
+      .update(projectData.description.toLowerCase().trim())
+      .digest('hex');
+    const cacheKey = `questions_${descriptionHash}`;
+    const cached = getCached(cacheKey);
+
+    if (cached) {
+      log.info('Cache hit for clarifying questions');
+      return res.json({
+        success: true,
+        data: cached,
+        cached: true,
+      });
+    }
+
+    log.info('Cache miss, calling the model for clarifying questions');
+
+    let outcome;
+    try {
+      outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await generateProjectQuestionsWithRetry(projectData);
+        setCached(cacheKey, fresh.result);
+        return fresh;
+      });
+    } catch (error) {
+      // Model unreachable: serve the expired questions
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      return res.json({
+        success: true,
+        data: stale,
+        cached: true,
+        stale: true,
+      });
+    }
+    const { result: questions, meta } = outcome;
+
+    res.json({
+      success: true,
+      data: questions,
       cached: false,
+      meta,
+    });
+  } catch (error) {
+    log.error('Error getting clarifying questions', { error });
+
+    // Pass to error handler middleware
+    next(error);
+  }
+});
+
+/**
+ * POST /api/refine-project
+ * Revise an existing plan (inline or saved) from a user instruction
+ * Returns the revised plan plus a structured summary of what changed
+ */
+router.post('/refine-project', validateBody('refineProjectRequest'), async (req, res, next) => {
+  try {
+    const { projectId: parentId, instruction } = req.body;
+    const owner = req.apiKey?.id;
+    let plan = req.body.plan;
+
+    // Load the saved plan when referenced by ID
+    if (parentId) {
+      const project = await getProject(parentId, owner);
+      if (!project) {
+        return next(new NotFoundError(`Project ${parentId} not found`));
+      }
+      plan = project.plan;
+    } else {
+      const validation = validateProjectPlan(plan);
+      if (!validation.valid) {
+        return next(new RequestValidationError(
+          `Invalid plan: ${validation.error}`,
+          validation.errors.map((field) => ({ ...field, path: `plan.${field.path}` }))
+        ));
+      }
+    }
+
+    // Check cache first (based on plan + instruction hash)
+    const refineHash = crypto
+      .createHash('sha256')
+      .update(`${JSON.stringify(plan)}\n${instruction.toLowerCase().trim()}`)
+      .digest('hex');
+    const cacheKey = `refine_${refineHash}`;
+    const cached = getCached(cacheKey);
+    const projectData = { description: instruction };
+
+    if (cached) {
+      log.info('Cache hit for plan refinement');
+      return res.json({
+        success: true,
+        data: cached,
+        changes: diffPlans(plan, cached),
+        projectId: await resolveCachedProjectId(cached, projectData, cacheKey, owner, parentId),
+        cached: true,
+      });
+    }
+
+    log.info('Cache miss, calling the model for plan refinement');
+
+    let outcome;
+    try {
+      outcome = await singleFlight(ownedFlightKey(cacheKey, owner), async () => {
+        const fresh = await singleFlight(cacheKey, async () => {
+          const revision = await refineProjectPlanWithRetry({ plan, instruction });
+          setCached(cacheKey, revision.result);
+          return revision;
+        });
+        return {
+          revisedPlan: fresh.result,
+          projectId: await persistProject(fresh.result, projectData, cacheKey, owner, parentId),
+          meta: fresh.meta,
+        };
+      });
+    } catch (error) {
+      // Model unreachable: fall back to the expired revision
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      outcome = {
+        revisedPlan: stale,
+        projectId: await resolveCachedProjectId(stale, projectData, cacheKey, owner, parentId),
+        stale: true,
+      };
+    }
+    const { revisedPlan, projectId, meta, stale } = outcome;
+
+    res.json({
+      success: true,
+      data: revisedPlan,
+      changes: diffPlans(plan, revisedPlan),
+      projectId,
+      ...(stale ? { cached: true, stale } : { cached: false, meta }),
     });
   } catch (error) {
-    console.error('[generate] Error generating project:', error);
+    log.error('Error refining project', { error });
 
     // Pass to error handler middleware
     next(error);
@@ -0,0 +1,28 @@
+/**
+ * Background Job API Routes
+ * Poll jobs queued by POST /api/generate-project?async=1
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJob, toPublicJob } = require('../utils/jobQueue');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * GET /api/jobs/:id
+ * Job status: queued, running, succeeded (with result) or failed (with error)
+ * Jobs queued with an API key are only visible to that key
+ */
+router.get('/jobs/:id', (req, res, next) => {
+  const job = getJob(req.params.id, req.apiKey?.id);
+  if (!job) {
+    return next(new NotFoundError(`Job ${req.params.id} not found`));
+  }
+
+  res.json({
+    success: true,
+    data: toPublicJob(job),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * Saved Project API Routes
+ * Retrieve, list and delete generated project plans by ID
+ * Projects saved with an API key are only visible to that key
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getProject, listProjects, deleteProject } = require('../utils/projectStore');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * GET /api/projects
+ * List saved projects, newest first
+ * Query: page, limit (max 100), category, difficulty
+ */
+router.get('/projects', async (req, res, next) => {
+  try {
+    const result = await listProjects({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      category: req.query.category,
+      difficulty: req.query.difficulty,
+      owner: req.apiKey?.id,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ * Get a saved project plan
+ */
+router.get('/projects/:id', async (req, res, next) => {
+  try {
+    const project = await getProject(req.params.id, req.apiKey?.id);
+    if (!project) {
+      return next(new NotFoundError(`Project ${req.params.id} not found`));
+    }
+
+    const { cacheKey, owner, ...publicProject } = project;
+    res.json({
+      success: true,
+      data: publicProject,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a saved project plan
+ */
+router.delete('/projects/:id', async (req, res, next) => {
+  try {
+    const deleted = await deleteProject(req.params.id, req.apiKey?.id);
+    if (!deleted) {
+      return next(new NotFoundError(`Project ${req.params.id} not found`));
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, deleted: true },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Schema API Routes
+ * Publishes the JSON Schemas for request bodies and AI responses so clients can generate types
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSchema, listSchemas } = require('../utils/schemas');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * GET /api/schemas
+ * List available schema names
+ */
+router.get('/schemas', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      schemas: listSchemas().map((name) => ({
+        name,
+        url: `/api/schemas/${name}`,
+      })),
+    },
+  });
+});
+
+/**
+ * GET /api/schemas/:name
+ * Return a single JSON Schema
+ */
+router.get('/schemas/:name', (req, res, next) => {
+  const schema = getSchema(req.params.name);
+  if (!schema) {
+    return next(new NotFoundError(`Unknown schema: ${req.params.name}`));
+  }
+
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Step Chat API Routes
+ * Multi-turn follow-up questions about a single project step
+ */
+
+const express = require('express');
+const router = express.Router();
+const { answerStepQuestionWithRetry } = require('../services/claudeService');
+const { validateBody } = require('../middleware/validateRequest');
+const { getProject } = require('../utils/projectStore');
+const { normalizeStep, findPlanStep } = require('../utils/planSteps');
+const {
+  createSession,
+  getSession,
+  addTurn,
+  deleteSession,
+  toPublicSession,
+} = require('../utils/chatSessionStore');
+const { createLogger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const log = createLogger('step-chat');
+
+/**
+ * Error for an unknown or expired session
+ * @param {string} sessionId - Requested session ID
+ * @returns {NotFoundError} 404 error
+ */
+function sessionNotFound(sessionId) {
+  return new NotFoundError(`Chat session ${sessionId} not found or expired`);
+}
+
+/**
+ * POST /api/step-chat
+ * Start a chat session about a step (inline, or from a saved project by step number)
+ */
+router.post('/step-chat', validateBody('stepChatSessionRequest'), async (req, res, next) => {
+  try {
+    const { projectId, stepNumber } = req.body;
+    let step = req.body.step;
+    let project = {
+      id: null,
+      title: req.body.projectTitle || null,
+      category: req.body.projectCategory || null,
+    };
+
+    // Seed from the saved plan when referenced by ID
+    if (!step) {
+      const saved = await getProject(projectId, req.apiKey?.id);
+      if (!saved) {
+        return next(new NotFoundError(`Project ${projectId} not found`));
+      }
+
+      step = findPlanStep(saved.plan, stepNumber);
+      if (!step) {
+        return next(new NotFoundError(`Project ${projectId} has no step ${stepNumber}`));
+      }
+      project = { id: saved.id, title: saved.plan.title, category: saved.plan.category };
+    }
+
+    const session = createSession({ step: normalizeStep(step, stepNumber), project });
+
+    res.status(201).json({
+      success: true,
+      data: toPublicSession(session),
+    });
+  } catch (error) {
+    log.error('Error starting chat session', { error });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/step-chat/:sessionId/messages
+ * Ask a follow-up question; earlier turns are sent to the model as context
+ */
+router.post('/step-chat/:sessionId/messages', validateBody('stepChatMessageRequest'), async (req, res, next) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return next(sessionNotFound(req.params.sessionId));
+  }
+
+  if (session.turns.length >= session.maxTurns) {
+    return next(new ConflictError(
+      'TURN_LIMIT_REACHED',
+      `This chat session has reached its limit of ${session.maxTurns} questions. Start a new session to keep asking.`
+    ));
+  }
+
+  // Answers build on the previous turn, so questions in one session are answered one at a time
+  if (session.pending) {
+    return next(new ConflictError('QUESTION_IN_PROGRESS', 'Wait for the previous answer before asking another question.'));
+  }
+
+  const question = req.body.question.trim();
+  session.pending = true;
+
+  try {
+    log.info('Question received', { sessionId: session.id, turn: session.turns.length + 1 });
+
+    const { result: answer, meta } = await answerStepQuestionWithRetry({
+      step: session.step,
+      project: session.project,
+      turns: session.turns,
+      question,
+    });
+
+    addTurn(session, { question, answer });
+    const publicSession = toPublicSession(session);
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session.id,
+        question,
+        answer,
+        turn: session.turns.length,
+        turnsRemaining: publicSession.turnsRemaining,
+        expiresAt: publicSession.expiresAt,
+      },
+      meta,
+    });
+  } catch (error) {
+    log.error('Error answering question', { error });
+    next(error);
+  } finally {
+    session.pending = false;
+  }
+});
+
+/**
+ * GET /api/step-chat/:sessionId
+ * Get a chat session and its transcript
+ */
+router.get('/step-chat/:sessionId', (req, res, next) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return next(sessionNotFound(req.params.sessionId));
+  }
+
+  res.json({
+    success: true,
+    data: toPublicSession(session),
+  });
+});
+
+/**
+ * DELETE /api/step-chat/:sessionId
+ * End a chat session
+ */
+router.delete('/step-chat/:sessionId', (req, res, next) => {
+  if (!deleteSession(req.params.sessionId)) {
+    return next(sessionNotFound(req.params.sessionId));
+  }
+
+  res.json({
+    success: true,
+    data: { sessionId: req.params.sessionId, deleted: true },
+  });
+});
+
+module.exports = router;
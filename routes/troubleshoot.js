@@ -0,0 +1,110 @@
+/**
+ * Troubleshooting API Routes
+ * Diagnoses problems users hit partway through a project step
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { troubleshootStepWithRetry, validateProjectPlan } = require('../services/claudeService');
+const { getCached, setCached, singleFlight, getStaleFallback } = require('../utils/cache');
+const { validateBody } = require('../middleware/validateRequest');
+const { getProject } = require('../utils/projectStore');
+const { findPlanStep } = require('../utils/planSteps');
+const { createLogger } = require('../utils/logger');
+const { NotFoundError, RequestValidationError } = require('../utils/errors');
+
+const log = createLogger('troubleshoot');
+
+/**
+ * POST /api/troubleshoot
+ * Rank the likely causes of a symptom at a given step of a plan (inline or saved),
+ * with checks, fixes and a stop-and-call-a-professional flag per cause
+ */
+router.post('/troubleshoot', validateBody('troubleshootRequest'), async (req, res, next) => {
+  try {
+    const { projectId, stepNumber, symptom } = req.body;
+    let plan = req.body.plan;
+
+    // Load the saved plan when referenced by ID
+    if (projectId) {
+      const project = await getProject(projectId, req.apiKey?.id);
+      if (!project) {
+        return next(new NotFoundError(`Project ${projectId} not found`));
+      }
+      plan = project.plan;
+    } else {
+      const validation = validateProjectPlan(plan);
+      if (!validation.valid) {
+        return next(new RequestValidationError(
+          `Invalid plan: ${validation.error}`,
+          validation.errors.map((field) => ({ ...field, path: `plan.${field.path}` }))
+        ));
+      }
+    }
+
+    const step = findPlanStep(plan, stepNumber);
+    if (!step) {
+      return next(new RequestValidationError(`The plan has no step ${stepNumber}`, [
+        { path: 'stepNumber', message: `must be between 1 and ${plan.steps.length}` },
+      ]));
+    }
+
+    // Check cache first (based on plan + step + symptom hash)
+    const troubleshootHash = crypto
+      .createHash('sha256')
+      .update(`${JSON.stringify(plan)}\n${stepNumber}\n${symptom.toLowerCase().trim()}`)
+      .digest('hex');
+    const cacheKey = `troubleshoot_${troubleshootHash}`;
+    const cached = getCached(cacheKey);
+
+    if (cached) {
+      log.info('Cache hit for troubleshooting');
+      return res.json({
+        success: true,
+        data: cached,
+        cached: true,
+      });
+    }
+
+    log.info('Cache miss, calling the model for troubleshooting');
+
+    // Call Claude API with retry logic (response is schema-validated in claudeService),
+    // sharing the call with identical requests already in flight
+    let outcome;
+    try {
+      outcome = await singleFlight(cacheKey, async () => {
+        const fresh = await troubleshootStepWithRetry({ plan, step, symptom });
+        setCached(cacheKey, fresh.result);
+        return fresh;
+      });
+    } catch (error) {
+      // An expired answer is still useful while the model is unreachable
+      const stale = getStaleFallback(cacheKey, error);
+      if (!stale) {
+        throw error;
+      }
+      return res.json({
+        success: true,
+        data: stale,
+        cached: true,
+        stale: true,
+      });
+    }
+    const { result: troubleshooting, meta } = outcome;
+
+    res.json({
+      success: true,
+      data: troubleshooting,
+      cached: false,
+      meta,
+    });
+  } catch (error) {
+    log.error('Error troubleshooting step', { error });
+
+    // Pass to error handler middleware
+    next(error);
+  }
+});
+
+module.exports = router;
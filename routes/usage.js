@@ -0,0 +1,24 @@
+/**
+ * Usage API Routes
+ * Token usage, cost and cache savings aggregated by day and endpoint (requires ADMIN_TOKEN)
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const { getUsageReport } = require('../utils/usageTracker');
+
+/**
+ * GET /api/usage?days=30
+ * Usage report for the last N days (1 to USAGE_RETENTION_DAYS)
+ */
+router.get('/usage', adminAuth, (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+
+  res.json({
+    success: true,
+    data: getUsageReport({ days }),
+  });
+});
+
+module.exports = router;
@@ -2,14 +2,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const rateLimiter = require('./middleware/rateLimiter');
+const apiKeyAuth = require('./middleware/apiKeyAuth');
+const requestId = require('./middleware/requestId');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { metricsMiddleware, metricsHandler, captureRouteBase } = require('./utils/metrics');
 const apiRoutes = require('./routes/enhance');
 const generateRoutes = require('./routes/generate');
 const explainStepRoutes = require('./routes/explainStep');
+const schemaRoutes = require('./routes/schemas');
+const projectRoutes = require('./routes/projects');
+const stepChatRoutes = require('./routes/stepChat');
+const troubleshootRoutes = require('./routes/troubleshoot');
+const diagnosePhotoRoutes = require('./routes/diagnosePhoto');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const jobRoutes = require('./routes/jobs');
+const { getConfiguredProviderNames, getLlmMode } = require('./services/providers');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('server');
 
 // Validate environment variables
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error('[ERROR] ANTHROPIC_API_KEY environment variable is required');
+// Replay mode serves recorded fixtures only, so no API key is needed
+const llmProviders = getConfiguredProviderNames();
+const llmMode = getLlmMode();
+if (llmMode !== 'replay' && llmProviders.includes('anthropic') && !process.env.ANTHROPIC_API_KEY) {
+  log.error('ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
 
@@ -21,26 +39,62 @@ const PORT = process.env.PORT || 3000;
 app.set('trust proxy', 1);
 
 // Middleware
+// First, so every log line and response (including body parser errors) has a request ID
+app.use(requestId);
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS || '*',
   credentials: true,
 }));
+// Before the body parsers so oversized and malformed bodies are counted too
+app.use(metricsMiddleware);
+// Photo uploads need a bigger body; parsed here first, so the 1mb parser below skips them
+app.use('/api/diagnose-photo', express.json({ limit: process.env.DIAGNOSE_PHOTO_MAX_BODY || '25mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const startedAt = Date.now();
+  const { method, path } = req; // Routers rewrite req.path, so keep the full one
+  log.debug('Request received', { method, path });
+  res.on('finish', () => {
+    log.info('Request completed', {
+      method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
   next();
 });
 
-// Apply rate limiting to all /api routes
-app.use('/api', rateLimiter);
+// Prometheus scrape endpoint; outside /api so it needs no API key and isn't rate limited
+app.get('/metrics', metricsHandler);
+
+// Route labels for metrics need the mount path, which errors passed to next() would reset
+app.use('/api', captureRouteBase);
+
+// Admin routes use ADMIN_TOKEN rather than API keys; the IP limit slows token guessing
+app.use('/api/admin', captureRouteBase, rateLimiter, adminRoutes);
+
+// The usage report covers every client, so it needs ADMIN_TOKEN rather than an API key too
+app.use('/api/usage', rateLimiter);
+app.use('/api', usageRoutes);
+
+// Per-client API keys with per-endpoint quotas replace the per-IP limit when enabled
+const apiKeysEnabled = process.env.API_KEYS_ENABLED === 'true';
+app.use('/api', apiKeysEnabled ? apiKeyAuth : rateLimiter);
 
 // Routes
 app.use('/api', apiRoutes);
 app.use('/api', generateRoutes);
 app.use('/api', explainStepRoutes);
+app.use('/api', schemaRoutes);
+app.use('/api', projectRoutes);
+app.use('/api', stepChatRoutes);
+app.use('/api', troubleshootRoutes);
+app.use('/api', diagnosePhotoRoutes);
+app.use('/api', jobRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -51,8 +105,21 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /api/health',
       enhance: 'POST /api/enhance-material',
+      enhanceBatch: 'POST /api/enhance-materials',
       generate: 'POST /api/generate-project',
+      job: 'GET /api/jobs/:id',
+      projectQuestions: 'POST /api/project-questions',
+      refine: 'POST /api/refine-project',
+      projects: 'GET /api/projects',
+      project: 'GET /api/projects/:id',
+      stepChat: 'POST /api/step-chat',
+      troubleshoot: 'POST /api/troubleshoot',
+      diagnosePhoto: 'POST /api/diagnose-photo',
       cacheStats: 'GET /api/cache-stats',
+      usage: 'GET /api/usage',
+      metrics: 'GET /metrics',
+      adminKeys: 'GET /api/admin/keys',
+      schemas: 'GET /api/schemas/:name',
     },
   });
 });
@@ -65,19 +132,24 @@ app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`[Server] HomeProjectPro.AI Backend listening on port ${PORT}`);
-  console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[Server] Rate limit: ${process.env.RATE_LIMIT_MAX || 100} requests per hour`);
-  console.log(`[Server] Cache TTL: ${process.env.CACHE_TTL_SECONDS || 604800} seconds`);
+  log.info('HomeProjectPro.AI Backend listening', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    llmProviders,
+    llmMode,
+    auth: apiKeysEnabled ? 'api-keys' : 'ip-rate-limit',
+    rateLimitPerHour: apiKeysEnabled ? undefined : parseInt(process.env.RATE_LIMIT_MAX) || 100,
+    cacheTtlSeconds: parseInt(process.env.CACHE_TTL_SECONDS) || 604800,
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('[Server] SIGTERM received, shutting down gracefully');
+  log.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('[Server] SIGINT received, shutting down gracefully');
+  log.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
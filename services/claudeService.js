@@ -1,265 +1,374 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const {
   buildEnhancementPrompt,
   buildProjectGenerationPrompt,
+  buildProjectQuestionsPrompt,
+  buildProjectRefinementPrompt,
   buildStepExplanationPrompt,
+  buildStepChatPrompt,
+  buildTroubleshootingPrompt,
+  buildPhotoDiagnosisPrompt,
 } = require('../utils/promptBuilder');
+const { createStepStreamParser } = require('../utils/streamParser');
+const { getProvider } = require('./providers');
+const { extractJson } = require('../utils/jsonExtractor');
+const { validateAgainst } = require('../utils/schemas');
+const { recordModelCall } = require('../utils/usageTracker');
+const { assertWithinBudget, checkBudgetWarnings } = require('../utils/budgetGuard');
+const metrics = require('../utils/metrics');
+const { createLogger, payload } = require('../utils/logger');
+const {
+  CircuitOpenError,
+  ModelOutputError,
+  ModelOutputParseError,
+  ModelOutputValidationError,
+  toUpstreamError,
+} = require('../utils/errors');
+const {
+  RECOMMENDATION_TOOL,
+  PROJECT_PLAN_TOOL,
+  PROJECT_QUESTIONS_TOOL,
+  STEP_EXPLANATION_TOOL,
+  TROUBLESHOOTING_TOOL,
+  PHOTO_DIAGNOSIS_TOOL,
+} = require('../utils/responseTools');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const log = createLogger('claude');
 
-const MODEL = 'claude-3-haiku-20240307';
 const MAX_TOKENS = 1000;
 const TEMPERATURE = 0.3;
 
 /**
- * Call Claude API to get product recommendation
- * @param {Object} materialData - Material information
- * @returns {Promise<Object>} Parsed recommendation object
+ * Extract and parse the JSON object in a model reply, repairing common mistakes
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
  */
-async function getProductRecommendation(materialData) {
+function parseModelJson(text) {
   try {
-    const prompt = buildEnhancementPrompt(materialData);
+    const { value, repairs } = extractJson(text);
+    if (repairs.length > 0) {
+      log.warn('Repaired model JSON', { repairs });
+    }
+    return value;
+  } catch (parseError) {
+    log.error('Failed to parse model JSON', { error: parseError.message, response: payload(text) });
+    throw new ModelOutputParseError('Invalid JSON response from Claude API');
+  }
+}
 
-    console.log(`[Claude] Requesting recommendation for: ${materialData.name}`);
+/**
+ * Output mode for an endpoint
+ * 'tools' forces the model to answer through a tool call; 'text' parses JSON from free text
+ * @param {string} endpoint - Endpoint name (enhance, generate, questions, refine, explain, chat, troubleshoot, diagnose)
+ * @returns {string} tools | text
+ */
+function getOutputMode(endpoint) {
+  const override = process.env[`LLM_OUTPUT_MODE_${endpoint.toUpperCase()}`];
+  return (override || process.env.LLM_OUTPUT_MODE || 'text').toLowerCase();
+}
 
-    const response = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: MAX_TOKENS,
-      temperature: TEMPERATURE,
-      system: prompt.system,
-      messages: prompt.messages,
-    });
+/**
+ * Tool to request for an endpoint, or undefined in text mode
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} tool - Tool definition from utils/responseTools
+ * @returns {Object|undefined} Tool definition when tools mode is on
+ */
+function getResponseTool(endpoint, tool) {
+  return getOutputMode(endpoint) === 'tools' ? tool : undefined;
+}
 
-    // Extract text content from response
-    const textContent = response.content.find((block) => block.type === 'text');
-    if (!textContent) {
-      throw new Error('No text content in Claude response');
-    }
+/**
+ * Read the structured result of a model call
+ * Prefers tool arguments and falls back to parsing the text reply
+ * @param {Object} response - Provider response
+ * @param {Object} tool - Tool that was requested, if any
+ * @returns {Object} Parsed object
+ */
+function readModelOutput(response, tool) {
+  if (response.toolInput && typeof response.toolInput === 'object') {
+    return response.toolInput;
+  }
 
-    // Parse JSON response
-    let recommendation;
-    try {
-      // Sometimes Claude wraps JSON in markdown code blocks, try to extract it
-      let jsonText = textContent.text.trim();
-
-      // Remove markdown code blocks if present
-      if (jsonText.startsWith('```json')) {
-        jsonText = jsonText.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-      } else if (jsonText.startsWith('```')) {
-        jsonText = jsonText.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-      }
+  if (tool) {
+    log.warn('Model did not call the tool, falling back to text parsing', { tool: tool.name });
+  }
+  return parseModelJson(response.text || '');
+}
 
-      recommendation = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('[Claude] Failed to parse JSON. Raw response:', textContent.text);
-      console.error('[Claude] Parse error:', parseError.message);
-      throw new Error('Invalid JSON response from Claude API');
-    }
+/**
+ * Model ladder for an endpoint, cheapest first
+ * Configured with MODEL_LADDER or MODEL_LADDER_<ENDPOINT> as a comma-separated list;
+ * an empty ladder means "the provider's default model" only
+ * @param {string} endpoint - Endpoint name (enhance, generate, questions, refine, explain, chat, troubleshoot, diagnose)
+ * @returns {Array<string|undefined>} Models to try in order
+ */
+function getModelLadder(endpoint) {
+  const configured = process.env[`MODEL_LADDER_${endpoint.toUpperCase()}`] || process.env.MODEL_LADDER || '';
+  const ladder = configured.split(',').map((model) => model.trim()).filter(Boolean);
+  return ladder.length > 0 ? ladder : [undefined];
+}
 
-    // Validate response structure
-    const validation = validateRecommendation(recommendation);
-    if (!validation.valid) {
-      throw new Error(`Invalid recommendation structure: ${validation.error}`);
+/**
+ * Send a prompt to an endpoint's provider and record its token usage, cost and latency
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} params - Provider params { system, messages, maxTokens, temperature, model, tool },
+ *   plus onResponse(response), called with the reply before it is parsed
+ * @param {Object} handlers - Stream handlers; when given, the reply is streamed
+ * @returns {Promise<Object>} Provider response { text, toolInput, model, usage }
+ */
+async function sendModelMessage(endpoint, { onResponse, ...params }, handlers) {
+  const provider = getProvider(endpoint);
+  const startedAt = Date.now();
+
+  try {
+    const response = handlers
+      ? await provider.streamMessage(params, handlers)
+      : await provider.createMessage(params);
+    if (onResponse) {
+      onResponse(response);
     }
 
-    console.log(`[Claude] Successfully got recommendation for: ${materialData.name}`);
-    return recommendation;
+    const call = {
+      endpoint,
+      model: response.model || params.model || provider.model,
+      usage: response.usage,
+      latencyMs: Date.now() - startedAt,
+    };
+    recordModelCall(call);
+    metrics.recordModelCall(call);
+    checkBudgetWarnings();
+    return response;
   } catch (error) {
-    console.error('[Claude] Error getting recommendation:', error.message);
-
-    // Enhance error with more context
-    if (error.status === 401) {
-      throw new Error('Invalid Anthropic API key');
-    } else if (error.status === 429) {
-      throw new Error('Rate limit exceeded on Claude API');
-    } else if (error.status >= 500) {
-      throw new Error('Claude API server error');
+    // Rejected by the circuit breaker without reaching the provider, so not a model call
+    if (error instanceof CircuitOpenError) {
+      throw error;
     }
-
+    const call = { endpoint, model: params.model || provider.model, error: true, latencyMs: Date.now() - startedAt };
+    recordModelCall(call);
+    metrics.recordModelCall(call);
     throw error;
   }
 }
 
 /**
- * Call Claude API with retry logic
- * @param {Object} materialData - Material information
- * @param {number} maxRetries - Maximum number of retries (default: 2)
- * @returns {Promise<Object>} Parsed recommendation object
+ * Call the model with retry logic and model escalation
+ * Upstream failures (5xx, rate limits) retry the same model with exponential backoff;
+ * parse/validation failures move up the model ladder
+ * @param {string} endpoint - Endpoint name (enhance, generate, questions, refine, explain, chat, troubleshoot, diagnose)
+ * @param {Function} call - Async ({ model, onResponse }) => result; pass both on to sendModelMessage
+ * @param {number} maxRetries - Maximum number of retries (raised to climb the whole ladder)
+ * @returns {Promise<Object>} { result, meta: { model, attempts } }
  */
-async function getProductRecommendationWithRetry(materialData, maxRetries = 2) {
+async function callWithRetry(endpoint, call, maxRetries) {
+  const ladder = getModelLadder(endpoint);
+  const maxAttempts = Math.max(maxRetries, ladder.length - 1) + 1;
+  let rung = 0;
   let lastError;
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const model = ladder[rung];
+
+    // Outside the try: an exhausted budget is never retried
+    assertWithinBudget();
+
     try {
-      return await getProductRecommendation(materialData);
+      // Report the model that answered, which may differ from the configured name
+      let respondedModel = null;
+      const result = await call({
+        model,
+        onResponse: (response) => {
+          respondedModel = response.model;
+        },
+      });
+      return {
+        result,
+        meta: {
+          model: respondedModel || model || getProvider(endpoint).model,
+          attempts: attempt + 1,
+        },
+      };
     } catch (error) {
       lastError = error;
-      console.error(`[Claude] Attempt ${attempt + 1} failed:`, error.message);
+      log.warn('Attempt failed', { endpoint, attempt: attempt + 1, model, error: error.message });
+      if (error instanceof ModelOutputError) {
+        metrics.recordOutputFailure(endpoint, error instanceof ModelOutputParseError ? 'parse' : 'validation');
+      }
 
-      // Don't retry on client errors (400-499) except rate limits
-      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+      // Don't retry what won't change (auth, missing fixtures) or client errors other than rate limits,
+      // nor calls the circuit breaker rejected: backing off would only delay the same answer
+      if (error.retryable === false || (error.status >= 400 && error.status < 500 && error.status !== 429)) {
+        throw error;
+      }
+      if (error instanceof CircuitOpenError) {
         throw error;
       }
 
-      // Wait before retrying with exponential backoff
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-        console.log(`[Claude] Retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
+      if (attempt >= maxAttempts - 1) {
+        break;
       }
+      metrics.recordRetry(endpoint);
+
+      // Bad output from this model: try a stronger one straight away
+      if (error instanceof ModelOutputError && rung < ladder.length - 1) {
+        rung++;
+        log.info('Escalating to the next model', { endpoint, from: model, to: ladder[rung] });
+        continue;
+      }
+
+      // Wait before retrying with exponential backoff
+      const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
+      log.info('Retrying', { endpoint, delayMs: delay });
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
 
   throw lastError;
 }
 
+/**
+ * Call Claude API to get product recommendation
+ * @param {Object} materialData - Material information
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<Object>} Parsed recommendation object
+ */
+async function getProductRecommendation(materialData, options = {}) {
+  try {
+    const prompt = buildEnhancementPrompt(materialData);
+
+    log.info('Requesting recommendation', { material: materialData.name });
+
+    const tool = getResponseTool('enhance', RECOMMENDATION_TOOL);
+
+    const response = await sendModelMessage('enhance', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    });
+
+    // Parse JSON response
+    const recommendation = readModelOutput(response, tool);
+
+    // Validate response structure
+    const validation = validateRecommendation(recommendation);
+    if (!validation.valid) {
+      throw new ModelOutputValidationError(`Invalid recommendation structure: ${validation.error}`);
+    }
+
+    log.info('Got recommendation', { material: materialData.name });
+    return recommendation;
+  } catch (error) {
+    log.error('Error getting recommendation', { error: error.message });
+    throw toUpstreamError(error);
+  }
+}
+
+/**
+ * Call Claude API with retry logic
+ * @param {Object} materialData - Material information
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: recommendation object, meta: { model, attempts } }
+ */
+async function getProductRecommendationWithRetry(materialData, maxRetries = 2) {
+  return callWithRetry('enhance', (options) => getProductRecommendation(materialData, options), maxRetries);
+}
+
 /**
  * Validate recommendation response structure
  * @param {Object} recommendation - Recommendation object from Claude
- * @returns {Object} { valid: boolean, error: string }
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
  */
 function validateRecommendation(recommendation) {
-  if (!recommendation || typeof recommendation !== 'object') {
-    return { valid: false, error: 'Recommendation must be an object' };
-  }
+  return validateAgainst('recommendation', recommendation);
+}
 
-  const requiredFields = [
-    'primaryBrand',
-    'primaryModel',
-    'specification',
-    'reasoning',
-    'alternatives',
-    'buyingTips',
-    'quantitySuggestion',
-  ];
-
-  for (const field of requiredFields) {
-    if (!(field in recommendation)) {
-      return { valid: false, error: `Missing required field: ${field}` };
-    }
-  }
+/**
+ * Normalize and validate a parsed project plan
+ * @param {Object} projectPlan - Project plan object from the model
+ * @returns {Object} Validated project plan object
+ */
+function finalizeProjectPlan(projectPlan) {
+  // Normalize tool structure (ensure alternatives is an array)
+  if (projectPlan.tools && Array.isArray(projectPlan.tools)) {
+    projectPlan.tools = projectPlan.tools.map(tool => {
+      // If alternatives is a string, convert to empty array
+      if (typeof tool.alternatives === 'string') {
+        log.warn('Tool has string alternatives, converting to array', { tool: tool.name });
+        tool.alternatives = [];
+      }
+
+      // Ensure alternatives is an array
+      if (!Array.isArray(tool.alternatives)) {
+        tool.alternatives = [];
+      }
+
+      // Validate each alternative has required fields
+      tool.alternatives = tool.alternatives.filter(alt => {
+        if (!alt.name || !alt.specification) {
+          log.warn('Filtering out invalid alternative', { alternative: alt });
+          return false;
+        }
+        return true;
+      });
 
-  // Validate alternatives array
-  if (!Array.isArray(recommendation.alternatives)) {
-    return { valid: false, error: 'alternatives must be an array' };
+      // Ensure tool has all expected fields
+      return {
+        name: tool.name || 'Unknown Tool',
+        specification: tool.specification || '',
+        required: tool.required ?? true,
+        alternatives: tool.alternatives,
+        usage: tool.usage || ''
+      };
+    });
   }
 
-  // Validate each alternative has required fields
-  for (const alt of recommendation.alternatives) {
-    if (!alt.brand || !alt.model || !alt.note) {
-      return { valid: false, error: 'Each alternative must have brand, model, and note' };
-    }
+  // Validate response structure
+  const validation = validateProjectPlan(projectPlan);
+  if (!validation.valid) {
+    log.error('Project plan failed validation', {
+      error: validation.error,
+      keys: Object.keys(projectPlan),
+      plan: payload(projectPlan),
+    });
+    throw new ModelOutputValidationError(`Invalid project plan structure: ${validation.error}`);
   }
 
-  return { valid: true };
+  return projectPlan;
 }
 
 /**
  * Call Claude API to generate a project plan
  * @param {Object} projectData - Project request information
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
  * @returns {Promise<Object>} Parsed project plan object
  */
-async function generateProjectPlan(projectData) {
+async function generateProjectPlan(projectData, options = {}) {
   try {
     const prompt = buildProjectGenerationPrompt(projectData);
 
-    console.log(`[Claude] Requesting project plan for: ${projectData.description}`);
+    log.info('Requesting project plan', { description: payload(projectData.description) });
+
+    const tool = getResponseTool('generate', PROJECT_PLAN_TOOL);
 
-    const response = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: 3000, // Project plans need more tokens
+    const response = await sendModelMessage('generate', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: 3000, // Project plans need more tokens
       temperature: TEMPERATURE,
       system: prompt.system,
       messages: prompt.messages,
+      tool,
     });
 
-    // Extract text content from response
-    const textContent = response.content.find((block) => block.type === 'text');
-    if (!textContent) {
-      throw new Error('No text content in Claude response');
-    }
-
-    // Parse JSON response
-    let projectPlan;
-    try {
-      // Sometimes Claude wraps JSON in markdown code blocks, try to extract it
-      let jsonText = textContent.text.trim();
-
-      // Remove markdown code blocks if present
-      if (jsonText.startsWith('```json')) {
-        jsonText = jsonText.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-      } else if (jsonText.startsWith('```')) {
-        jsonText = jsonText.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-      }
-
-      projectPlan = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('[Claude] Failed to parse JSON. Raw response:', textContent.text);
-      console.error('[Claude] Parse error:', parseError.message);
-      throw new Error('Invalid JSON response from Claude API');
-    }
-
-    // Normalize tool structure (ensure alternatives is an array)
-    if (projectPlan.tools && Array.isArray(projectPlan.tools)) {
-      projectPlan.tools = projectPlan.tools.map(tool => {
-        // If alternatives is a string, convert to empty array
-        if (typeof tool.alternatives === 'string') {
-          console.warn('[Claude] Tool has string alternatives, converting to array:', tool.name);
-          tool.alternatives = [];
-        }
-
-        // Ensure alternatives is an array
-        if (!Array.isArray(tool.alternatives)) {
-          tool.alternatives = [];
-        }
-
-        // Validate each alternative has required fields
-        tool.alternatives = tool.alternatives.filter(alt => {
-          if (!alt.name || !alt.specification) {
-            console.warn('[Claude] Filtering out invalid alternative:', alt);
-            return false;
-          }
-          return true;
-        });
-
-        // Ensure tool has all expected fields
-        return {
-          name: tool.name || 'Unknown Tool',
-          specification: tool.specification || '',
-          required: tool.required ?? true,
-          alternatives: tool.alternatives,
-          usage: tool.usage || ''
-        };
-      });
-    }
+    const projectPlan = finalizeProjectPlan(readModelOutput(response, tool));
 
-    // Validate response structure
-    const validation = validateProjectPlan(projectPlan);
-    if (!validation.valid) {
-      console.error('[Claude] Validation failed:', validation.error);
-      console.error('[Claude] Project plan keys:', Object.keys(projectPlan));
-      console.error('[Claude] Full project plan:', JSON.stringify(projectPlan, null, 2));
-      throw new Error(`Invalid project plan structure: ${validation.error}`);
-    }
-
-    console.log(`[Claude] Successfully generated project plan: ${projectPlan.title}`);
+    log.info('Generated project plan', { title: projectPlan.title });
     return projectPlan;
   } catch (error) {
-    console.error('[Claude] Error generating project plan:', error.message);
-
-    // Enhance error with more context
-    if (error.status === 401) {
-      throw new Error('Invalid Anthropic API key');
-    } else if (error.status === 429) {
-      throw new Error('Rate limit exceeded on Claude API');
-    } else if (error.status >= 500) {
-      throw new Error('Claude API server error');
-    }
-
-    throw error;
+    log.error('Error generating project plan', { error: error.message });
+    throw toUpstreamError(error);
   }
 }
 
@@ -267,263 +376,402 @@ async function generateProjectPlan(projectData) {
  * Call Claude API with retry logic for project generation
  * @param {Object} projectData - Project request information
  * @param {number} maxRetries - Maximum number of retries (default: 2)
- * @returns {Promise<Object>} Parsed project plan object
+ * @returns {Promise<Object>} { result: project plan object, meta: { model, attempts } }
  */
 async function generateProjectPlanWithRetry(projectData, maxRetries = 2) {
-  let lastError;
+  return callWithRetry('generate', (options) => generateProjectPlan(projectData, options), maxRetries);
+}
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await generateProjectPlan(projectData);
-    } catch (error) {
-      lastError = error;
-      console.error(`[Claude] Attempt ${attempt + 1} failed:`, error.message);
+/**
+ * Stream a project plan from Claude, reporting each step as soon as it is parsed
+ * Not retried: steps already sent to the client cannot be taken back
+ * @param {Object} projectData - Project request information
+ * @param {Object} handlers - Optional callbacks and abort signal
+ * @param {Function} handlers.onStep - Called with each completed step object
+ * @param {Function} handlers.onProgress - Called with { stage } on stage changes
+ * @param {AbortSignal} handlers.signal - Aborts the upstream request (e.g. on client disconnect)
+ * @returns {Promise<Object>} { result: validated project plan, meta: { model, attempts } }
+ */
+async function generateProjectPlanStream(projectData, handlers = {}) {
+  const { onStep = () => {}, onProgress = () => {}, signal } = handlers;
 
-      // Don't retry on client errors (400-499) except rate limits
-      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
-        throw error;
-      }
+  assertWithinBudget();
 
-      // Wait before retrying with exponential backoff
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s
-        console.log(`[Claude] Retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
+  try {
+    const prompt = buildProjectGenerationPrompt(projectData);
+    const tool = getResponseTool('generate', PROJECT_PLAN_TOOL);
+    const stepParser = createStepStreamParser();
+
+    // Text deltas and tool-input deltas carry the same plan JSON
+    let receivedText = false;
+    const onDelta = (delta) => {
+      if (!receivedText) {
+        receivedText = true;
+        onProgress({ stage: 'generating' });
       }
+      for (const step of stepParser.push(delta)) {
+        onStep(step);
+      }
+    };
+
+    log.info('Streaming project plan', { description: payload(projectData.description) });
+
+    const response = await sendModelMessage('generate', {
+      model: getModelLadder('generate')[0], // No escalation mid-stream, so start on the first rung
+      maxTokens: 3000, // Project plans need more tokens
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    }, {
+      signal,
+      onText: onDelta,
+      onToolInput: onDelta,
+    });
+
+    onProgress({ stage: 'validating' });
+
+    const projectPlan = finalizeProjectPlan(readModelOutput(response, tool));
+
+    log.info('Streamed project plan', { title: projectPlan.title });
+    return {
+      result: projectPlan,
+      meta: {
+        model: response.model,
+        attempts: 1,
+      },
+    };
+  } catch (error) {
+    log.error('Error streaming project plan', { error: error.message });
+    if (error instanceof ModelOutputError) {
+      metrics.recordOutputFailure('generate', error instanceof ModelOutputParseError ? 'parse' : 'validation');
     }
+    throw toUpstreamError(error);
   }
-
-  throw lastError;
 }
 
 /**
- * Validate project plan response structure
- * @param {Object} projectPlan - Project plan object from Claude
- * @returns {Object} { valid: boolean, error: string }
+ * Call Claude API for the clarifying questions to ask before generating a plan
+ * @param {Object} projectData - { description, context }
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<Object>} Validated { questions } object
  */
-function validateProjectPlan(projectPlan) {
-  if (!projectPlan || typeof projectPlan !== 'object') {
-    return { valid: false, error: 'Project plan must be an object' };
-  }
+async function generateProjectQuestions(projectData, options = {}) {
+  try {
+    const prompt = buildProjectQuestionsPrompt(projectData);
+    const tool = getResponseTool('questions', PROJECT_QUESTIONS_TOOL);
 
-  const requiredFields = [
-    'title',
-    'description',
-    'category',
-    'difficulty',
-    'estimatedTime',
-    'steps',
-    'materials',
-    'tools',
-    'safetyTips',
-    'estimatedCost',
-    'commonMistakes',
-    // Note: successCriteria is optional for backward compatibility
-  ];
-
-  for (const field of requiredFields) {
-    if (!(field in projectPlan)) {
-      return { valid: false, error: `Missing required field: ${field}` };
-    }
-  }
+    log.info('Requesting clarifying questions', { description: payload(projectData.description) });
 
-  // Validate steps array
-  if (!Array.isArray(projectPlan.steps) || projectPlan.steps.length === 0) {
-    return { valid: false, error: 'steps must be a non-empty array' };
-  }
+    const response = await sendModelMessage('questions', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    });
 
-  // Validate each step has required fields (support both old and new formats)
-  for (const step of projectPlan.steps) {
-    // New format: stepNumber, title, instruction
-    // Old format: order, title, instructions
-    const hasStepNumber = step.stepNumber || step.order;
-    const hasInstruction = step.instruction || step.instructions;
+    const questions = readModelOutput(response, tool);
 
-    if (!hasStepNumber || !step.title || !hasInstruction) {
-      return { valid: false, error: 'Each step must have stepNumber/order, title, and instruction/instructions' };
+    // Validate response structure
+    const validation = validateAgainst('projectQuestions', questions);
+    if (!validation.valid) {
+      log.error('Model output failed validation', { error: validation.error });
+      throw new ModelOutputValidationError(`Invalid project questions structure: ${validation.error}`);
     }
-  }
 
-  // Validate materials array
-  if (!Array.isArray(projectPlan.materials)) {
-    return { valid: false, error: 'materials must be an array' };
+    log.info('Got clarifying questions', { count: questions.questions.length });
+    return questions;
+  } catch (error) {
+    log.error('Error getting clarifying questions', { error: error.message });
+    throw toUpstreamError(error);
   }
+}
 
-  // Validate tools array
-  if (!Array.isArray(projectPlan.tools)) {
-    return { valid: false, error: 'tools must be an array' };
-  }
+/**
+ * Call Claude API with retry logic for clarifying questions
+ * @param {Object} projectData - { description, context }
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: { questions }, meta: { model, attempts } }
+ */
+async function generateProjectQuestionsWithRetry(projectData, maxRetries = 2) {
+  return callWithRetry('questions', (options) => generateProjectQuestions(projectData, options), maxRetries);
+}
 
-  // Validate safety tips array
-  if (!Array.isArray(projectPlan.safetyTips)) {
-    return { valid: false, error: 'safetyTips must be an array' };
-  }
+/**
+ * Call Claude API to revise an existing project plan
+ * @param {Object} refineData - { plan, instruction }
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<Object>} Revised, validated project plan object
+ */
+async function refineProjectPlan(refineData, options = {}) {
+  try {
+    const prompt = buildProjectRefinementPrompt(refineData);
+    const tool = getResponseTool('refine', PROJECT_PLAN_TOOL);
+
+    log.info('Requesting plan refinement', { title: refineData.plan.title, instruction: payload(refineData.instruction) });
+
+    const response = await sendModelMessage('refine', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: 4000, // Revised plans echo the full plan back
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    });
+
+    const projectPlan = finalizeProjectPlan(readModelOutput(response, tool));
 
-  // Validate common mistakes array
-  if (!Array.isArray(projectPlan.commonMistakes)) {
-    return { valid: false, error: 'commonMistakes must be an array' };
+    log.info('Refined project plan', { title: projectPlan.title });
+    return projectPlan;
+  } catch (error) {
+    log.error('Error refining project plan', { error: error.message });
+    throw toUpstreamError(error);
   }
+}
 
-  return { valid: true };
+/**
+ * Call Claude API with retry logic for plan refinement
+ * @param {Object} refineData - { plan, instruction }
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: revised project plan, meta: { model, attempts } }
+ */
+async function refineProjectPlanWithRetry(refineData, maxRetries = 2) {
+  return callWithRetry('refine', (options) => refineProjectPlan(refineData, options), maxRetries);
+}
+
+/**
+ * Validate project plan response structure
+ * @param {Object} projectPlan - Project plan object from Claude
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
+ */
+function validateProjectPlan(projectPlan) {
+  return validateAgainst('projectPlan', projectPlan);
+}
+
+/**
+ * Validate step explanation response structure
+ * @param {Object} explanation - Step explanation object from Claude
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
+ */
+function validateStepExplanation(explanation) {
+  return validateAgainst('stepExplanation', explanation);
 }
 
 /**
  * Call Claude API to explain a project step
  * @param {Object} stepData - Step information
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
  * @returns {Promise<Object>} Parsed step explanation object
  */
-async function explainStep(stepData) {
+async function explainStep(stepData, options = {}) {
   try {
     const prompt = buildStepExplanationPrompt(stepData);
 
-    console.log(`[Claude] Requesting step explanation for: ${stepData.stepTitle}`);
+    log.info('Requesting step explanation', { step: stepData.stepTitle });
+
+    const tool = getResponseTool('explain', STEP_EXPLANATION_TOOL);
 
-    const response = await anthropic.messages.create({
-      model: MODEL,
-      max_tokens: 1500, // Step explanations need more tokens
+    const response = await sendModelMessage('explain', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: 1500, // Step explanations need more tokens
       temperature: TEMPERATURE,
       system: prompt.system,
       messages: prompt.messages,
+      tool,
     });
 
-    // Extract text content from response
-    const textContent = response.content.find((block) => block.type === 'text');
-    if (!textContent) {
-      throw new Error('No text content in Claude response');
-    }
+    log.debug('Step explanation response', { response: payload(response.text || response.toolInput) });
 
     // Parse JSON response
-    let explanation;
-    try {
-      // Sometimes Claude wraps JSON in markdown code blocks, try to extract it
-      let jsonText = textContent.text.trim();
-
-      console.log('[Claude] Raw response preview:', jsonText.substring(0, 200) + '...');
-
-      // Remove markdown code blocks if present
-      if (jsonText.startsWith('```json')) {
-        console.log('[Claude] Detected JSON markdown block, stripping');
-        jsonText = jsonText.replace(/^```json\s*\n?/, '').replace(/\n?```\s*$/, '');
-      } else if (jsonText.startsWith('```')) {
-        console.log('[Claude] Detected generic markdown block, stripping');
-        jsonText = jsonText.replace(/^```\s*\n?/, '').replace(/\n?```\s*$/, '');
-      }
+    const explanation = readModelOutput(response, tool);
+
+    // Validate response structure
+    const validation = validateStepExplanation(explanation);
+    if (!validation.valid) {
+      log.error('Model output failed validation', { error: validation.error });
+      throw new ModelOutputValidationError(`Invalid step explanation structure: ${validation.error}`);
+    }
 
-      // Fix unescaped newlines in JSON string values
-      // Claude sometimes puts literal newlines which break JSON.parse()
-      // We need a smarter approach: only escape newlines inside quoted strings
+    log.info('Explained step', { step: stepData.stepTitle });
+    return explanation;
+  } catch (error) {
+    log.error('Error explaining step', { error: error.message });
+    throw toUpstreamError(error);
+  }
+}
+
+/**
+ * Call Claude API with retry logic for step explanation
+ * @param {Object} stepData - Step information
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: step explanation object, meta: { model, attempts } }
+ */
+async function explainStepWithRetry(stepData, maxRetries = 2) {
+  return callWithRetry('explain', (options) => explainStep(stepData, options), maxRetries);
+}
 
-      let isInString = false;
-      let escape = false;
-      let fixedJson = '';
+/**
+ * Call Claude API to answer a follow-up question about a step
+ * @param {Object} chatData - { step, project, turns, question }
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<string>} Answer text
+ */
+async function answerStepQuestion(chatData, options = {}) {
+  try {
+    const prompt = buildStepChatPrompt(chatData);
 
-      for (let i = 0; i < jsonText.length; i++) {
-        const char = jsonText[i];
+    log.info('Requesting step chat answer', { step: chatData.step.title, turn: chatData.turns.length + 1 });
 
-        if (escape) {
-          fixedJson += char;
-          escape = false;
-          continue;
-        }
+    const response = await sendModelMessage('chat', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: 800,
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+    });
 
-        if (char === '\\') {
-          fixedJson += char;
-          escape = true;
-          continue;
-        }
+    const answer = (response.text || '').trim();
+    if (!answer) {
+      throw new ModelOutputParseError('Empty answer from Claude API');
+    }
 
-        if (char === '"') {
-          isInString = !isInString;
-          fixedJson += char;
-          continue;
-        }
+    log.info('Answered step question', { step: chatData.step.title });
+    return answer;
+  } catch (error) {
+    log.error('Error answering step question', { error: error.message });
+    throw toUpstreamError(error);
+  }
+}
 
-        // If we're in a string and hit a newline, escape it
-        if (isInString && char === '\n') {
-          fixedJson += '\\n';
-          continue;
-        }
+/**
+ * Call Claude API with retry logic for step chat
+ * @param {Object} chatData - { step, project, turns, question }
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: answer text, meta: { model, attempts } }
+ */
+async function answerStepQuestionWithRetry(chatData, maxRetries = 2) {
+  return callWithRetry('chat', (options) => answerStepQuestion(chatData, options), maxRetries);
+}
 
-        // If we're in a string and hit a tab, escape it
-        if (isInString && char === '\t') {
-          fixedJson += '\\t';
-          continue;
-        }
+/**
+ * Validate troubleshooting response structure
+ * @param {Object} troubleshooting - Troubleshooting object from Claude
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
+ */
+function validateTroubleshooting(troubleshooting) {
+  return validateAgainst('troubleshooting', troubleshooting);
+}
 
-        // If we're in a string and hit a carriage return, escape it
-        if (isInString && char === '\r') {
-          fixedJson += '\\r';
-          continue;
-        }
+/**
+ * Call Claude API to diagnose a problem the user hit during a step
+ * @param {Object} troubleshootData - { plan, step, symptom }
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<Object>} Validated troubleshooting object, causes most likely first
+ */
+async function troubleshootStep(troubleshootData, options = {}) {
+  try {
+    const prompt = buildTroubleshootingPrompt(troubleshootData);
+    const tool = getResponseTool('troubleshoot', TROUBLESHOOTING_TOOL);
 
-        fixedJson += char;
-      }
+    log.info('Requesting troubleshooting', { step: troubleshootData.step.title });
 
-      explanation = JSON.parse(fixedJson);
+    const response = await sendModelMessage('troubleshoot', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: 1500,
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    });
 
-      // Validate structure
-      if (!explanation.explanation || !explanation.keyPoints) {
-        console.error('[Claude] Response missing required fields:', Object.keys(explanation));
-        throw new Error('Response missing required fields');
-      }
+    const troubleshooting = readModelOutput(response, tool);
 
-      console.log('[Claude] Successfully parsed step explanation with fields:', Object.keys(explanation));
-    } catch (parseError) {
-      console.error('[Claude] Failed to parse JSON.');
-      console.error('[Claude] Raw response (first 500 chars):', textContent.text.substring(0, 500));
-      console.error('[Claude] Parse error:', parseError.message);
-      throw new Error(`Invalid JSON response from Claude API: ${parseError.message}`);
+    // Validate response structure
+    const validation = validateTroubleshooting(troubleshooting);
+    if (!validation.valid) {
+      log.error('Model output failed validation', { error: validation.error });
+      throw new ModelOutputValidationError(`Invalid troubleshooting structure: ${validation.error}`);
     }
 
-    console.log(`[Claude] Successfully explained step: ${stepData.stepTitle}`);
-    return explanation;
-  } catch (error) {
-    console.error('[Claude] Error explaining step:', error.message);
-
-    // Enhance error with more context
-    if (error.status === 401) {
-      throw new Error('Invalid Anthropic API key');
-    } else if (error.status === 429) {
-      throw new Error('Rate limit exceeded on Claude API');
-    } else if (error.status >= 500) {
-      throw new Error('Claude API server error');
-    }
+    // Don't rely on the model to keep its own ranking, and never let the
+    // top-level flag say "safe" when one of the causes says otherwise
+    troubleshooting.causes.sort((a, b) => b.probability - a.probability);
+    troubleshooting.stopAndCallPro = troubleshooting.stopAndCallPro
+      || troubleshooting.causes.some((cause) => cause.stopAndCallPro);
 
-    throw error;
+    log.info('Troubleshot step', { step: troubleshootData.step.title });
+    return troubleshooting;
+  } catch (error) {
+    log.error('Error troubleshooting step', { error: error.message });
+    throw toUpstreamError(error);
   }
 }
 
 /**
- * Call Claude API with retry logic for step explanation
- * @param {Object} stepData - Step information
+ * Call Claude API with retry logic for troubleshooting
+ * @param {Object} troubleshootData - { plan, step, symptom }
  * @param {number} maxRetries - Maximum number of retries (default: 2)
- * @returns {Promise<Object>} Parsed step explanation object
+ * @returns {Promise<Object>} { result: troubleshooting object, meta: { model, attempts } }
  */
-async function explainStepWithRetry(stepData, maxRetries = 2) {
-  let lastError;
+async function troubleshootStepWithRetry(troubleshootData, maxRetries = 2) {
+  return callWithRetry('troubleshoot', (options) => troubleshootStep(troubleshootData, options), maxRetries);
+}
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await explainStep(stepData);
-    } catch (error) {
-      lastError = error;
-      console.error(`[Claude] Attempt ${attempt + 1} failed:`, error.message);
+/**
+ * Call Claude API to diagnose a home problem from photos
+ * @param {Object} diagnoseData - { images: [{ mediaType, data }], description, context }
+ * @param {Object} options - Optional { model, onResponse } (see sendModelMessage)
+ * @returns {Promise<Object>} Validated photo diagnosis object
+ */
+async function diagnosePhoto(diagnoseData, options = {}) {
+  try {
+    const prompt = buildPhotoDiagnosisPrompt(diagnoseData);
+    const tool = getResponseTool('diagnose', PHOTO_DIAGNOSIS_TOOL);
 
-      // Don't retry on client errors (400-499) except rate limits
-      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
-        throw error;
-      }
+    log.info('Requesting photo diagnosis', { images: diagnoseData.images.length });
 
-      // Wait before retrying with exponential backoff
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s
-        console.log(`[Claude] Retrying in ${delay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      }
+    const response = await sendModelMessage('diagnose', {
+      model: options.model,
+      onResponse: options.onResponse,
+      maxTokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+      system: prompt.system,
+      messages: prompt.messages,
+      tool,
+    });
+
+    const diagnosis = readModelOutput(response, tool);
+
+    // Validate response structure
+    const validation = validateAgainst('photoDiagnosis', diagnosis);
+    if (!validation.valid) {
+      log.error('Model output failed validation', { error: validation.error });
+      throw new ModelOutputValidationError(`Invalid photo diagnosis structure: ${validation.error}`);
     }
+
+    log.info('Diagnosed photo', { issue: diagnosis.identifiedIssue, confidence: diagnosis.confidence });
+    return diagnosis;
+  } catch (error) {
+    log.error('Error diagnosing photo', { error: error.message });
+    throw toUpstreamError(error);
   }
+}
 
-  throw lastError;
+/**
+ * Call Claude API with retry logic for photo diagnosis
+ * @param {Object} diagnoseData - { images, description, context }
+ * @param {number} maxRetries - Maximum number of retries (default: 2)
+ * @returns {Promise<Object>} { result: photo diagnosis object, meta: { model, attempts } }
+ */
+async function diagnosePhotoWithRetry(diagnoseData, maxRetries = 2) {
+  return callWithRetry('diagnose', (options) => diagnosePhoto(diagnoseData, options), maxRetries);
 }
 
 module.exports = {
@@ -532,7 +780,20 @@ module.exports = {
   validateRecommendation,
   generateProjectPlan,
   generateProjectPlanWithRetry,
+  generateProjectPlanStream,
+  generateProjectQuestions,
+  generateProjectQuestionsWithRetry,
+  refineProjectPlan,
+  refineProjectPlanWithRetry,
   validateProjectPlan,
   explainStep,
   explainStepWithRetry,
+  validateStepExplanation,
+  answerStepQuestion,
+  answerStepQuestionWithRetry,
+  troubleshootStep,
+  troubleshootStepWithRetry,
+  validateTroubleshooting,
+  diagnosePhoto,
+  diagnosePhotoWithRetry,
 };
@@ -0,0 +1,127 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { getRequestId } = require('../../utils/logger');
+const { ModelOutputParseError } = require('../../utils/errors');
+
+const DEFAULT_MODEL = 'claude-3-haiku-20240307';
+
+/**
+ * Build Messages API parameters from provider params
+ * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+ * @param {string} defaultModel - Model to use when params.model is not set
+ * @returns {Object} Messages API request body
+ */
+function toRequestBody(params, defaultModel) {
+  const body = {
+    model: params.model || defaultModel,
+    max_tokens: params.maxTokens,
+    temperature: params.temperature,
+    system: params.system,
+    messages: params.messages,
+  };
+
+  // Force the model to answer through the tool so we get structured arguments
+  if (params.tool) {
+    body.tools = [params.tool];
+    body.tool_choice = { type: 'tool', name: params.tool.name };
+  }
+
+  return body;
+}
+
+/**
+ * Pull the text and tool input out of an Anthropic message
+ * @param {Object} message - Anthropic message
+ * @returns {Object} Normalized provider response
+ */
+function toProviderResponse(message) {
+  const textContent = message.content.find((block) => block.type === 'text');
+  const toolUse = message.content.find((block) => block.type === 'tool_use');
+  if (!textContent && !toolUse) {
+    throw new ModelOutputParseError('No text content in Claude response');
+  }
+
+  return {
+    text: textContent ? textContent.text : '',
+    toolInput: toolUse ? toolUse.input : undefined,
+    model: message.model,
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Request options forwarding the current request ID upstream, for tracing across services
+ * @returns {Object} SDK request options
+ */
+function requestOptions() {
+  const requestId = getRequestId();
+  return requestId ? { headers: { 'X-Request-Id': requestId } } : {};
+}
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.model - Default model
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider(options = {}) {
+  // Created lazily so deployments that never use Anthropic don't need a key
+  let client;
+  function getClient() {
+    if (!client) {
+      client = new Anthropic({ apiKey: options.apiKey });
+    }
+    return client;
+  }
+
+  const defaultModel = options.model || DEFAULT_MODEL;
+
+  return {
+    name: 'anthropic',
+    model: defaultModel,
+
+    /**
+     * Send a prompt and wait for the full reply
+     * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+     * @returns {Promise<Object>} { text, toolInput, model, usage }
+     */
+    async createMessage(params) {
+      const message = await getClient().messages.create(toRequestBody(params, defaultModel), requestOptions());
+
+      return toProviderResponse(message);
+    },
+
+    /**
+     * Send a prompt and receive the reply incrementally
+     * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+     * @param {Object} handlers - { onText(delta), onToolInput(partialJsonDelta), signal }
+     * @returns {Promise<Object>} { text, toolInput, model, usage }
+     */
+    async streamMessage(params, handlers = {}) {
+      const stream = getClient().messages.stream(toRequestBody(params, defaultModel), {
+        ...requestOptions(),
+        signal: handlers.signal,
+      });
+
+      if (handlers.onText) {
+        stream.on('text', (textDelta) => handlers.onText(textDelta));
+      }
+      if (handlers.onToolInput) {
+        stream.on('inputJson', (partialJson) => handlers.onToolInput(partialJson));
+      }
+
+      return toProviderResponse(await stream.finalMessage());
+    },
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+};
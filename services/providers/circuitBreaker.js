@@ -0,0 +1,163 @@
+/**
+ * Circuit breaker wrapper for LLM providers
+ *
+ * closed: calls go through; CIRCUIT_FAILURE_THRESHOLD outage failures in a row (5xx,
+ *   timeouts, connection errors) open the circuit
+ * open: calls fail fast with UPSTREAM_CIRCUIT_OPEN for CIRCUIT_OPEN_SECONDS
+ * half-open: up to CIRCUIT_HALF_OPEN_MAX_CALLS trial calls go through; a success closes the
+ *   circuit, a failure opens it again
+ *
+ * Client-side failures (bad output, auth, rate limits, aborted streams) don't count: they say
+ * nothing about whether the provider is up.
+ */
+
+const { createLogger } = require('../../utils/logger');
+const { recordCircuitState } = require('../../utils/metrics');
+const { CircuitOpenError, UpstreamServerError, toUpstreamError } = require('../../utils/errors');
+
+const log = createLogger('circuit');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const OPEN_MS = (parseInt(process.env.CIRCUIT_OPEN_SECONDS) || 30) * 1000;
+const HALF_OPEN_MAX_CALLS = parseInt(process.env.CIRCUIT_HALF_OPEN_MAX_CALLS) || 1;
+
+// provider name -> breaker state, for /api/health
+const breakers = new Map();
+
+function isOutage(error) {
+  return toUpstreamError(error) instanceof UpstreamServerError;
+}
+
+/**
+ * Create the state machine for one provider
+ * @param {string} name - Provider name
+ * @returns {Object} Breaker { execute(fn), getStatus() }
+ */
+function createBreaker(name) {
+  let state = 'closed';
+  let failures = 0; // Outage failures in a row
+  let openedAt = null;
+  let trialCalls = 0; // Trial calls in flight while half-open
+
+  function transition(next) {
+    if (state !== next) {
+      log[next === 'open' ? 'warn' : 'info'](`Circuit ${next}`, { provider: name, failures });
+    }
+    state = next;
+    recordCircuitState(name, state);
+  }
+
+  function retryAfterSeconds() {
+    return Math.max(1, Math.ceil((openedAt + OPEN_MS - Date.now()) / 1000));
+  }
+
+  function onSuccess() {
+    failures = 0;
+    if (state !== 'closed') {
+      openedAt = null;
+      transition('closed');
+    }
+  }
+
+  function onFailure(error) {
+    if (!isOutage(error)) {
+      return;
+    }
+    failures++;
+    if (state === 'half-open' || failures >= FAILURE_THRESHOLD) {
+      openedAt = Date.now();
+      transition('open');
+    }
+  }
+
+  /**
+   * Run a provider call through the breaker
+   * @param {Function} fn - Async provider call
+   * @returns {Promise<*>} fn's result
+   * @throws {CircuitOpenError} Without calling fn while the circuit is open
+   */
+  async function execute(fn) {
+    if (state === 'open' && Date.now() - openedAt >= OPEN_MS) {
+      trialCalls = 0;
+      transition('half-open');
+    }
+
+    const isTrial = state === 'half-open';
+    if (state === 'open' || (isTrial && trialCalls >= HALF_OPEN_MAX_CALLS)) {
+      throw new CircuitOpenError(
+        'The AI service is unavailable. Requests are paused while it recovers.',
+        retryAfterSeconds()
+      );
+    }
+
+    if (isTrial) {
+      trialCalls++;
+    }
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (error) {
+      onFailure(error);
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialCalls--;
+      }
+    }
+  }
+
+  function getStatus() {
+    return {
+      state,
+      failures,
+      ...(openedAt !== null && {
+        openedAt: new Date(openedAt).toISOString(),
+        retryAt: new Date(openedAt + OPEN_MS).toISOString(),
+      }),
+    };
+  }
+
+  recordCircuitState(name, state);
+  return { execute, getStatus };
+}
+
+/**
+ * Wrap a provider so its calls go through a circuit breaker
+ * @param {Object} provider - Provider to protect
+ * @returns {Object} Provider
+ */
+function withCircuitBreaker(provider) {
+  const breaker = createBreaker(provider.name);
+  breakers.set(provider.name, breaker);
+
+  return {
+    name: provider.name,
+    model: provider.model,
+
+    createMessage(params) {
+      return breaker.execute(() => provider.createMessage(params));
+    },
+
+    streamMessage(params, handlers) {
+      return breaker.execute(() => provider.streamMessage(params, handlers));
+    },
+  };
+}
+
+/**
+ * Breaker state of every provider in use
+ * @returns {Object} provider name -> { state, failures, openedAt?, retryAt? }
+ */
+function getCircuitStatus() {
+  const status = {};
+  for (const [name, breaker] of breakers) {
+    status[name] = breaker.getStatus();
+  }
+  return status;
+}
+
+module.exports = {
+  withCircuitBreaker,
+  getCircuitStatus,
+};
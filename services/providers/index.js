@@ -0,0 +1,103 @@
+/**
+ * LLM provider registry
+ *
+ * Every provider exposes the same interface:
+ *   createMessage({ system, messages, maxTokens, temperature, model, tool }) => { text, toolInput, model, usage }
+ *   streamMessage(params, { onText, onToolInput, signal }) => { text, toolInput, model, usage }
+ *
+ * When `tool` is given the provider forces the model to call it and returns the
+ * parsed arguments as `toolInput`.
+ *
+ * The backend is chosen per deployment with LLM_PROVIDER, and can be overridden
+ * per endpoint with LLM_PROVIDER_<ENDPOINT> (e.g. LLM_PROVIDER_GENERATE=openai).
+ *
+ * LLM_MODE=record|replay wraps every provider with fixture recording/replay
+ * (see recordReplay.js); the default, live, calls providers directly.
+ *
+ * Live and recording providers sit behind a circuit breaker (see circuitBreaker.js) that
+ * fails fast while the provider is down.
+ */
+
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { withRecordReplay } = require('./recordReplay');
+const { withCircuitBreaker } = require('./circuitBreaker');
+
+const ENDPOINTS = ['enhance', 'generate', 'questions', 'refine', 'explain', 'chat', 'troubleshoot', 'diagnose'];
+
+const providerFactories = {
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL,
+  }),
+  openai: () => createOpenAICompatibleProvider({
+    baseUrl: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL,
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || undefined,
+  }),
+};
+
+const providers = {};
+
+/**
+ * Current LLM mode
+ * @returns {string} live | record | replay
+ */
+function getLlmMode() {
+  const mode = (process.env.LLM_MODE || 'live').toLowerCase();
+  if (!['live', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown LLM_MODE "${mode}" (expected live, record or replay)`);
+  }
+  return mode;
+}
+
+/**
+ * Name of the provider configured for an endpoint
+ * @param {string} endpoint - Endpoint name (enhance, generate, questions, refine, explain, chat, troubleshoot, diagnose)
+ * @returns {string} Provider name
+ */
+function getProviderName(endpoint) {
+  const override = endpoint && process.env[`LLM_PROVIDER_${endpoint.toUpperCase()}`];
+  return (override || process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+}
+
+/**
+ * Get the provider for an endpoint, creating it on first use
+ * @param {string} endpoint - Endpoint name (enhance, generate, questions, refine, explain, chat, troubleshoot, diagnose)
+ * @returns {Object} Provider
+ */
+function getProvider(endpoint) {
+  const name = getProviderName(endpoint);
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(providerFactories).join(' or ')})`);
+  }
+  if (!providers[name]) {
+    const provider = providerFactories[name]();
+    const mode = getLlmMode();
+    // Replay never touches the network, so it needs no breaker
+    providers[name] = mode === 'live'
+      ? withCircuitBreaker(provider)
+      : withRecordReplay(mode === 'record' ? withCircuitBreaker(provider) : provider, {
+        mode,
+        dir: process.env.LLM_FIXTURES_DIR,
+      });
+  }
+  return providers[name];
+}
+
+/**
+ * Names of every provider some endpoint is configured to use
+ * @returns {Array<string>} Provider names
+ */
+function getConfiguredProviderNames() {
+  return [...new Set(ENDPOINTS.map(getProviderName))];
+}
+
+module.exports = {
+  ENDPOINTS,
+  getProvider,
+  getProviderName,
+  getConfiguredProviderNames,
+  getLlmMode,
+};
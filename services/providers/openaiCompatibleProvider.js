@@ -0,0 +1,268 @@
+/**
+ * OpenAI-compatible Chat Completions provider
+ * Works with OpenAI itself and local servers that speak the same API (llama.cpp, Ollama, vLLM)
+ */
+
+const { extractJson } = require('../../utils/jsonExtractor');
+const { createLogger, getRequestId } = require('../../utils/logger');
+const { ModelOutputParseError } = require('../../utils/errors');
+
+const log = createLogger('openai');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Error carrying the upstream HTTP status, so retry/error handling treats it like SDK errors
+ * @param {number} status - HTTP status code
+ * @param {string} body - Response body
+ * @returns {Error} Error with a status property
+ */
+function httpError(status, body) {
+  const error = new Error(`OpenAI-compatible API error ${status}: ${body.slice(0, 200)}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Error for a request that never got a response (connection refused, reset, DNS failure)
+ * Named like the SDK's connection error, so it counts as an outage
+ * @param {Error} cause - Network error thrown by fetch
+ * @returns {Error} Error named APIConnectionError
+ */
+function connectionError(cause) {
+  const error = new Error(`OpenAI-compatible API unreachable: ${cause.cause?.message || cause.message}`, { cause });
+  error.name = 'APIConnectionError';
+  return error;
+}
+
+/**
+ * Convert Anthropic-style content (a string or text/image blocks) to Chat Completions content
+ * @param {string|Array} content - Anthropic-style message content
+ * @returns {string|Array} Chat Completions message content
+ */
+function toChatContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  return content.map((block) => {
+    if (block.type === 'image') {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` },
+      };
+    }
+    return { type: 'text', text: block.text };
+  });
+}
+
+/**
+ * Convert an Anthropic-style prompt ({ system, messages }) to Chat Completions messages
+ * @param {string} system - System prompt
+ * @param {Array} messages - Anthropic-style messages
+ * @returns {Array} Chat Completions messages
+ */
+function toChatMessages(system, messages) {
+  const chatMessages = [];
+  if (system) {
+    chatMessages.push({ role: 'system', content: system });
+  }
+  for (const message of messages) {
+    chatMessages.push({ role: message.role, content: toChatContent(message.content) });
+  }
+  return chatMessages;
+}
+
+/**
+ * Parse the arguments string of a function call
+ * @param {string} args - JSON arguments produced by the model
+ * @returns {Object|undefined} Parsed arguments, or undefined if unparseable
+ */
+function parseToolArguments(args) {
+  if (!args) {
+    return undefined;
+  }
+  try {
+    return extractJson(args).value;
+  } catch (error) {
+    log.warn('Could not parse tool arguments', { error: error.message });
+    return undefined;
+  }
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL including /v1
+ * @param {string} options.apiKey - Optional bearer token
+ * @param {string} options.model - Default model
+ * @param {number} options.timeoutMs - Request timeout (default: 120000)
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const defaultModel = options.model || 'llama3.1';
+  const timeoutMs = options.timeoutMs || 120000;
+
+  async function post(params, stream, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+    // Forward the request ID upstream, for tracing across services
+    if (getRequestId()) {
+      headers['X-Request-Id'] = getRequestId();
+    }
+
+    const body = {
+      model: params.model || defaultModel,
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      messages: toChatMessages(params.system, params.messages),
+      stream,
+    };
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    // Force a function call so we get structured arguments
+    if (params.tool) {
+      body.tools = [{
+        type: 'function',
+        function: {
+          name: params.tool.name,
+          description: params.tool.description,
+          parameters: params.tool.input_schema,
+        },
+      }];
+      body.tool_choice = { type: 'function', function: { name: params.tool.name } };
+    }
+
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      // Aborts (client gone) and timeouts (already an outage) pass through as they are
+      if (signal?.aborted || timeoutSignal.aborted) {
+        throw error;
+      }
+      throw connectionError(error);
+    }
+
+    if (!response.ok) {
+      throw httpError(response.status, await response.text());
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai',
+    model: defaultModel,
+
+    /**
+     * Send a prompt and wait for the full reply
+     * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+     * @returns {Promise<Object>} { text, toolInput, model, usage }
+     */
+    async createMessage(params) {
+      const response = await post(params, false);
+      const completion = await response.json();
+
+      const message = completion.choices?.[0]?.message || {};
+      const text = message.content || '';
+      const toolInput = parseToolArguments(message.tool_calls?.[0]?.function?.arguments);
+      if (!text && !toolInput) {
+        throw new ModelOutputParseError('No text content in model response');
+      }
+
+      return {
+        text,
+        toolInput,
+        model: completion.model || params.model || defaultModel,
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens || 0,
+          outputTokens: completion.usage?.completion_tokens || 0,
+        },
+      };
+    },
+
+    /**
+     * Send a prompt and receive the reply incrementally
+     * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+     * @param {Object} handlers - { onText(delta), onToolInput(partialJsonDelta), signal }
+     * @returns {Promise<Object>} { text, toolInput, model, usage }
+     */
+    async streamMessage(params, handlers = {}) {
+      const response = await post(params, true, handlers.signal);
+      const decoder = new TextDecoder();
+
+      let buffer = '';
+      let text = '';
+      let toolArguments = '';
+      let model = params.model || defaultModel;
+      const usage = { inputTokens: 0, outputTokens: 0 };
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newlineIndex).trim();
+          buffer = buffer.slice(newlineIndex + 1);
+
+          if (!line.startsWith('data:')) {
+            continue;
+          }
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') {
+            continue;
+          }
+
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (error) {
+            throw new ModelOutputParseError(`Malformed stream event from model: ${error.message}`);
+          }
+          model = event.model || model;
+          if (event.usage) {
+            usage.inputTokens = event.usage.prompt_tokens || 0;
+            usage.outputTokens = event.usage.completion_tokens || 0;
+          }
+
+          const delta = event.choices?.[0]?.delta || {};
+          if (delta.content) {
+            text += delta.content;
+            if (handlers.onText) {
+              handlers.onText(delta.content);
+            }
+          }
+
+          const argumentsDelta = delta.tool_calls?.[0]?.function?.arguments;
+          if (argumentsDelta) {
+            toolArguments += argumentsDelta;
+            if (handlers.onToolInput) {
+              handlers.onToolInput(argumentsDelta);
+            }
+          }
+        }
+      }
+
+      const toolInput = parseToolArguments(toolArguments);
+      if (!text && !toolInput) {
+        throw new ModelOutputParseError('No text content in model response');
+      }
+
+      return { text, toolInput, model, usage };
+    },
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
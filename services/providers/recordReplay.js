@@ -0,0 +1,129 @@
+/**
+ * Record/replay wrapper for LLM providers
+ *
+ * record: calls the real provider and saves each request/response pair as a fixture
+ * replay: serves fixtures only, with no network access; a missing fixture is an error
+ *
+ * Fixtures are keyed by a hash of the prompt (system, messages and generation
+ * settings), so the same fixtures replay regardless of which provider recorded them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../../utils/logger');
+const { ReplayFixtureMissingError } = require('../../utils/errors');
+
+const log = createLogger('record-replay');
+
+const REPLAY_CHUNK_SIZE = 40; // Characters per simulated stream delta
+
+/**
+ * Hash the parts of a request that determine the model's answer
+ * @param {Object} params - { system, messages, maxTokens, temperature, model, tool }
+ * @returns {string} SHA256 hex digest
+ */
+function hashRequest(params) {
+  const keyMaterial = {
+    system: params.system,
+    messages: params.messages,
+    maxTokens: params.maxTokens,
+    temperature: params.temperature,
+    model: params.model || null,
+  };
+  // Only present when set, so text-mode fixtures keep their hashes
+  if (params.tool) {
+    keyMaterial.tool = params.tool.name;
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(keyMaterial)).digest('hex');
+}
+
+/**
+ * Wrap a provider with record or replay behaviour
+ * @param {Object} provider - Real provider (unused in replay mode)
+ * @param {Object} options - { mode: 'record' | 'replay', dir }
+ * @returns {Object} Provider
+ */
+function withRecordReplay(provider, options) {
+  const { mode } = options;
+  const dir = path.resolve(options.dir || './fixtures/llm');
+
+  function fixturePath(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  function loadFixture(params) {
+    const key = hashRequest(params);
+    const file = fixturePath(key);
+
+    if (!fs.existsSync(file)) {
+      // Not retryable, so the retry helpers give up immediately
+      throw new ReplayFixtureMissingError(`Replay fixture not found for prompt hash ${key} (looked in ${dir}). Record it with LLM_MODE=record.`);
+    }
+
+    log.info('Serving fixture', { key });
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  }
+
+  function saveFixture(params, response) {
+    const key = hashRequest(params);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(fixturePath(key), JSON.stringify({
+      key,
+      provider: provider.name,
+      recordedAt: new Date().toISOString(),
+      request: params,
+      response,
+    }, null, 2));
+    log.info('Saved fixture', { key });
+  }
+
+  if (mode === 'replay') {
+    return {
+      name: `replay(${provider.name})`,
+      model: provider.model,
+
+      async createMessage(params) {
+        return loadFixture(params);
+      },
+
+      async streamMessage(params, handlers = {}) {
+        const response = loadFixture(params);
+        if (handlers.onText && response.text) {
+          for (let i = 0; i < response.text.length; i += REPLAY_CHUNK_SIZE) {
+            handlers.onText(response.text.slice(i, i + REPLAY_CHUNK_SIZE));
+          }
+        }
+        if (handlers.onToolInput && response.toolInput) {
+          const toolJson = JSON.stringify(response.toolInput);
+          for (let i = 0; i < toolJson.length; i += REPLAY_CHUNK_SIZE) {
+            handlers.onToolInput(toolJson.slice(i, i + REPLAY_CHUNK_SIZE));
+          }
+        }
+        return response;
+      },
+    };
+  }
+
+  return {
+    name: `record(${provider.name})`,
+    model: provider.model,
+
+    async createMessage(params) {
+      const response = await provider.createMessage(params);
+      saveFixture(params, response);
+      return response;
+    },
+
+    async streamMessage(params, handlers = {}) {
+      const response = await provider.streamMessage(params, handlers);
+      saveFixture(params, response);
+      return response;
+    },
+  };
+}
+
+module.exports = {
+  hashRequest,
+  withRecordReplay,
+};
@@ -0,0 +1,94 @@
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+process.env.CACHE_STORE = 'memory';
+process.env.USAGE_FILE = path.join(os.tmpdir(), `usage-test-${process.pid}.json`);
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCached, setCached, singleFlight, getStaleFallback } = require('../utils/cache');
+const {
+  BudgetExhaustedError,
+  CircuitOpenError,
+  ModelOutputParseError,
+  UpstreamRateLimitError,
+  UpstreamServerError,
+} = require('../utils/errors');
+
+const realNow = Date.now;
+
+function expireAfter(seconds) {
+  const now = Date.now();
+  Date.now = () => now + seconds * 1000 + 1;
+}
+
+describe('getStaleFallback', () => {
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('serves an expired entry during an outage', () => {
+    setCached('stale_outage', { title: 'old plan' }, 60);
+    expireAfter(60);
+
+    assert.equal(getCached('stale_outage'), null);
+    assert.deepEqual(getStaleFallback('stale_outage', new UpstreamServerError()), { title: 'old plan' });
+    assert.deepEqual(
+      getStaleFallback('stale_outage', new CircuitOpenError('paused', 30)),
+      { title: 'old plan' }
+    );
+  });
+
+  it('does not serve stale entries for failures that are not outages', () => {
+    setCached('stale_other', { title: 'old plan' }, 60);
+    expireAfter(60);
+
+    for (const error of [
+      new UpstreamRateLimitError(),
+      new ModelOutputParseError('bad json'),
+      new BudgetExhaustedError('spent', 60),
+      new Error('unexpected'),
+    ]) {
+      assert.equal(getStaleFallback('stale_other', error), null, error.constructor.name);
+    }
+  });
+
+  it('returns null when nothing was ever cached', () => {
+    assert.equal(getStaleFallback('stale_missing', new UpstreamServerError()), null);
+  });
+});
+
+describe('singleFlight', () => {
+  it('shares one call between concurrent callers', async () => {
+    let calls = 0;
+    const fn = async () => {
+      calls++;
+      await new Promise((resolve) => setImmediate(resolve));
+      return { value: calls };
+    };
+
+    const [first, second] = await Promise.all([singleFlight('flight_shared', fn), singleFlight('flight_shared', fn)]);
+    assert.equal(calls, 1);
+    assert.equal(first, second);
+  });
+
+  it('rejects every waiting caller and lets the next call try again', async () => {
+    const failure = new UpstreamServerError();
+    const failing = async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      throw failure;
+    };
+
+    const results = await Promise.allSettled([
+      singleFlight('flight_failed', failing),
+      singleFlight('flight_failed', failing),
+    ]);
+    assert.deepEqual(results.map(({ status, reason }) => [status, reason]), [
+      ['rejected', failure],
+      ['rejected', failure],
+    ]);
+
+    assert.equal(await singleFlight('flight_failed', async () => 'recovered'), 'recovered');
+  });
+});
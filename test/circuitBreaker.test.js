@@ -0,0 +1,161 @@
+process.env.LOG_LEVEL = 'error';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_OPEN_SECONDS = '30';
+process.env.CIRCUIT_HALF_OPEN_MAX_CALLS = '1';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { withCircuitBreaker, getCircuitStatus } = require('../services/providers/circuitBreaker');
+const { createOpenAICompatibleProvider } = require('../services/providers/openaiCompatibleProvider');
+const { CircuitOpenError, ModelOutputParseError } = require('../utils/errors');
+
+const OPEN_MS = 30 * 1000;
+const realNow = Date.now;
+let providerCount = 0;
+
+// Provider whose calls resolve or reject with whatever the test queues next
+function createFakeProvider() {
+  const outcomes = [];
+  const provider = {
+    name: `fake-${++providerCount}`,
+    model: 'fake-model',
+    calls: 0,
+    async createMessage() {
+      provider.calls++;
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome || { text: 'ok' };
+    },
+    queue(...next) {
+      outcomes.push(...next);
+    },
+  };
+  return provider;
+}
+
+function statusError(status) {
+  const error = new Error(`status ${status}`);
+  error.status = status;
+  return error;
+}
+
+function namedError(name) {
+  const error = new Error(name);
+  error.name = name;
+  return error;
+}
+
+function advanceClock(ms) {
+  const now = Date.now();
+  Date.now = () => now + ms;
+}
+
+async function failWith(breaker, provider, error) {
+  provider.queue(error);
+  await assert.rejects(breaker.createMessage({}), (thrown) => thrown === error);
+}
+
+describe('circuit breaker', () => {
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('opens after the failure threshold of outages in a row', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+
+    await failWith(breaker, provider, statusError(503));
+    assert.equal(getCircuitStatus()[provider.name].state, 'closed');
+    await failWith(breaker, provider, namedError('APIConnectionError'));
+    assert.equal(getCircuitStatus()[provider.name].state, 'open');
+
+    await assert.rejects(breaker.createMessage({}), CircuitOpenError);
+    assert.equal(provider.calls, 2, 'an open circuit must not call the provider');
+  });
+
+  it('resets the failure count on success', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+
+    await failWith(breaker, provider, statusError(500));
+    await breaker.createMessage({});
+    await failWith(breaker, provider, statusError(500));
+    assert.equal(getCircuitStatus()[provider.name].state, 'closed');
+  });
+
+  it('ignores failures that are not outages', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+
+    for (const error of [
+      statusError(400),
+      statusError(401),
+      statusError(429),
+      new ModelOutputParseError('bad json'),
+      namedError('AbortError'),
+    ]) {
+      await failWith(breaker, provider, error);
+    }
+    assert.deepEqual(getCircuitStatus()[provider.name], { state: 'closed', failures: 0 });
+  });
+
+  it('counts timeouts as outages', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+
+    await failWith(breaker, provider, namedError('TimeoutError'));
+    await failWith(breaker, provider, namedError('APIConnectionTimeoutError'));
+    assert.equal(getCircuitStatus()[provider.name].state, 'open');
+  });
+
+  it('goes half-open after the open period and closes on a successful trial call', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+    await failWith(breaker, provider, statusError(502));
+    await failWith(breaker, provider, statusError(502));
+
+    advanceClock(OPEN_MS);
+    let releaseTrial;
+    provider.queue(new Promise((resolve) => {
+      releaseTrial = () => resolve({ text: 'ok' });
+    }));
+
+    const trial = breaker.createMessage({});
+    assert.equal(getCircuitStatus()[provider.name].state, 'half-open');
+    await assert.rejects(breaker.createMessage({}), CircuitOpenError, 'only one trial call at a time');
+
+    releaseTrial();
+    await trial;
+    assert.deepEqual(getCircuitStatus()[provider.name], { state: 'closed', failures: 0 });
+  });
+
+  it('opens again when the trial call fails', async () => {
+    const provider = createFakeProvider();
+    const breaker = withCircuitBreaker(provider);
+    await failWith(breaker, provider, statusError(500));
+    await failWith(breaker, provider, statusError(500));
+
+    advanceClock(OPEN_MS);
+    await failWith(breaker, provider, statusError(500));
+    const status = getCircuitStatus()[provider.name];
+    assert.equal(status.state, 'open');
+    await assert.rejects(breaker.createMessage({}), (error) => {
+      assert.ok(error instanceof CircuitOpenError);
+      assert.equal(error.retryAfter, 30);
+      return true;
+    });
+  });
+
+  it('opens when an OpenAI-compatible backend refuses connections', async () => {
+    // Nothing listens on port 1, so the connection is refused without leaving the machine
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1/v1', model: 'local' });
+    const breaker = withCircuitBreaker(provider);
+    const params = { system: 's', messages: [{ role: 'user', content: 'hi' }], maxTokens: 10 };
+
+    await assert.rejects(breaker.createMessage(params), { name: 'APIConnectionError' });
+    await assert.rejects(breaker.createMessage(params), { name: 'APIConnectionError' });
+    assert.equal(getCircuitStatus().openai.state, 'open');
+  });
+});
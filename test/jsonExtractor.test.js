@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { REPAIRS, extractJson } = require('../utils/jsonExtractor');
+
+// Malformed replies seen from models, with the value and repairs each should produce
+const CORPUS = [
+  {
+    name: 'well-formed object',
+    text: '{"title":"Fix sink","steps":[1,2]}',
+    value: { title: 'Fix sink', steps: [1, 2] },
+    repairs: [],
+  },
+  {
+    name: 'json code fence',
+    text: '```json\n{"title":"Fix sink"}\n```',
+    value: { title: 'Fix sink' },
+    repairs: [REPAIRS.STRIPPED_CODE_FENCE],
+  },
+  {
+    name: 'bare code fence with surrounding whitespace',
+    text: '\n  ```\n{"title":"Fix sink"}\n```  \n',
+    value: { title: 'Fix sink' },
+    repairs: [REPAIRS.STRIPPED_CODE_FENCE],
+  },
+  {
+    name: 'prose before and after',
+    text: 'Here is your plan:\n{"title":"Fix sink"}\nLet me know if you need more.',
+    value: { title: 'Fix sink' },
+    repairs: [REPAIRS.EXTRACTED_FROM_PROSE],
+  },
+  {
+    name: 'fence inside prose',
+    text: 'Sure!\n```json\n{"title":"Fix sink"}\n```\nGood luck.',
+    value: { title: 'Fix sink' },
+    repairs: [REPAIRS.EXTRACTED_FROM_PROSE],
+  },
+  {
+    name: 'code fence inside a string value',
+    text: '{"explanation":"Run:\\n```\\nmake\\n```\\nthen test"}',
+    value: { explanation: 'Run:\n```\nmake\n```\nthen test' },
+    repairs: [],
+  },
+  {
+    name: 'fenced reply whose string value contains a fence',
+    text: '```json\n{"explanation":"Use ``` for code"}\n```',
+    value: { explanation: 'Use ``` for code' },
+    repairs: [REPAIRS.STRIPPED_CODE_FENCE],
+  },
+  {
+    name: 'raw newline and tab in a string',
+    text: '{"instruction":"Turn the valve\nthen\twait"}',
+    value: { instruction: 'Turn the valve\nthen\twait' },
+    repairs: [REPAIRS.ESCAPED_CONTROL_CHARACTERS],
+  },
+  {
+    name: 'trailing commas in objects and arrays',
+    text: '{"tools":["wrench","tape",],"safe":true,}',
+    value: { tools: ['wrench', 'tape'], safe: true },
+    repairs: [REPAIRS.REMOVED_TRAILING_COMMAS],
+  },
+  {
+    name: 'comma before a bracket inside a string is kept',
+    text: '{"note":"a ,]","list":[1,],}',
+    value: { note: 'a ,]', list: [1] },
+    repairs: [REPAIRS.REMOVED_TRAILING_COMMAS],
+  },
+  {
+    name: 'braces and escaped quotes inside strings',
+    text: '{"tip":"Say \\"{done}\\" when finished"} trailing',
+    value: { tip: 'Say "{done}" when finished' },
+    repairs: [REPAIRS.EXTRACTED_FROM_PROSE],
+  },
+  {
+    name: 'every repair at once',
+    text: 'Plan:\n```json\n{"steps":["a\nb",],}\n```',
+    value: { steps: ['a\nb'] },
+    repairs: [REPAIRS.EXTRACTED_FROM_PROSE, REPAIRS.ESCAPED_CONTROL_CHARACTERS, REPAIRS.REMOVED_TRAILING_COMMAS],
+  },
+];
+
+// Replies that must be rejected so the caller retries or escalates
+const REJECTED = [
+  {
+    name: 'truncated inside a string',
+    text: '{"title":"Fix","steps":[{"a":1}],"commonMistakes":["Over-tight',
+    error: /truncated/,
+  },
+  {
+    name: 'truncated after a comma',
+    text: '```json\n{"title":"Fix","steps":[{"a":1},',
+    error: /truncated/,
+  },
+  {
+    name: 'truncated mid-escape',
+    text: '{"title":"Say \\',
+    error: /truncated/,
+  },
+  {
+    name: 'no object at all',
+    text: 'Sorry, I cannot help with that.',
+    error: /No JSON object found/,
+  },
+  {
+    name: 'unrepairable syntax',
+    text: '{"title": Fix sink}',
+    error: SyntaxError,
+  },
+];
+
+describe('extractJson', () => {
+  for (const sample of CORPUS) {
+    it(`recovers ${sample.name}`, () => {
+      const { value, repairs } = extractJson(sample.text);
+      assert.deepEqual(value, sample.value);
+      assert.deepEqual(repairs, sample.repairs);
+    });
+  }
+
+  for (const sample of REJECTED) {
+    it(`rejects ${sample.name}`, () => {
+      assert.throws(() => extractJson(sample.text), sample.error);
+    });
+  }
+
+  it('rejects non-string input', () => {
+    assert.throws(() => extractJson(undefined), /must be a string/);
+  });
+});
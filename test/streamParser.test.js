@@ -0,0 +1,50 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStepStreamParser } = require('../utils/streamParser');
+
+const PLAN = JSON.stringify({
+  title: 'Fix sink',
+  steps: [
+    { stepNumber: 1, title: 'Shut off water', instruction: 'Turn the valve {clockwise}' },
+    { stepNumber: 2, title: 'Remove trap', instruction: 'Say "done]" when finished', tools: ['wrench'] },
+  ],
+  materials: [{ name: 'tape' }],
+});
+
+// Feed text in fixed-size chunks, collecting the steps each chunk completes
+function feed(text, chunkSize) {
+  const parser = createStepStreamParser();
+  const batches = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    batches.push(parser.push(text.slice(i, i + chunkSize)));
+  }
+  return batches;
+}
+
+describe('createStepStreamParser', () => {
+  for (const chunkSize of [1, 7, PLAN.length]) {
+    it(`emits each step once, in order, with ${chunkSize}-character chunks`, () => {
+      const steps = feed(PLAN, chunkSize).flat();
+      assert.deepEqual(steps.map((step) => step.title), ['Shut off water', 'Remove trap']);
+      assert.deepEqual(steps[1].tools, ['wrench']);
+    });
+  }
+
+  it('emits a step as soon as it is complete', () => {
+    const parser = createStepStreamParser();
+    assert.deepEqual(parser.push('{"steps":[{"stepNumber":1,"title":"A"'), []);
+    assert.deepEqual(parser.push(',"instruction":"x"},{"stepNumber":2'), [{ stepNumber: 1, title: 'A', instruction: 'x' }]);
+  });
+
+  it('ignores objects after the steps array', () => {
+    const steps = feed('{"steps":[],"materials":[{"name":"tape"}]}', 5).flat();
+    assert.deepEqual(steps, []);
+  });
+
+  it('skips a step it cannot parse and keeps going', () => {
+    const steps = feed('{"steps":[{"title": oops},{"title":"B"}]}', 4).flat();
+    assert.deepEqual(steps, [{ title: 'B' }]);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Issued API keys and their per-endpoint quotas
+ * Keys live in one JSON file (API_KEYS_FILE); only a SHA-256 hash of each key is stored,
+ * so the plain key is shown once, when it is created
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('api-keys');
+
+const KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || './data/api-keys.json');
+const QUOTA_WINDOW_MS = parseInt(process.env.API_KEY_QUOTA_WINDOW_MS) || 24 * 60 * 60 * 1000; // 1 day
+const SAVE_DELAY_MS = 5000;
+
+// Requests per quota window; generation costs far more than a material lookup
+const BUILT_IN_QUOTAS = {
+  enhance: 500,
+  generate: 50,
+  questions: 100,
+  refine: 50,
+  explain: 200,
+  chat: 200,
+  troubleshoot: 100,
+  diagnose: 30,
+};
+
+/**
+ * Default quotas, optionally overridden with API_KEY_DEFAULT_QUOTAS="generate=20,enhance=1000"
+ * @returns {Object} endpoint -> requests per window
+ */
+function getDefaultQuotas() {
+  const quotas = { ...BUILT_IN_QUOTAS };
+  for (const pair of (process.env.API_KEY_DEFAULT_QUOTAS || '').split(',')) {
+    const [endpoint, limit] = pair.split('=').map((part) => part.trim());
+    if (endpoint && !Number.isNaN(parseInt(limit))) {
+      quotas[endpoint] = parseInt(limit);
+    }
+  }
+  return quotas;
+}
+
+// Loaded from disk on first use: { keys: Map<id, record>, byHash: Map<hash, id> }
+let statePromise = null;
+let saveTimer = null;
+let writeQueue = Promise.resolve();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadState() {
+  if (!statePromise) {
+    statePromise = (async () => {
+      const state = { keys: new Map(), byHash: new Map() };
+      try {
+        const records = JSON.parse(await fs.readFile(KEYS_FILE, 'utf8'));
+        for (const record of records) {
+          state.keys.set(record.id, record);
+          state.byHash.set(record.keyHash, record.id);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      log.info('Loaded API keys', { count: state.keys.size });
+      return state;
+    })();
+  }
+  return statePromise;
+}
+
+async function saveState() {
+  const state = await loadState();
+  await fs.mkdir(path.dirname(KEYS_FILE), { recursive: true });
+
+  // Write then rename so a crash never leaves a half-written key file
+  await fs.writeFile(`${KEYS_FILE}.tmp`, JSON.stringify(Array.from(state.keys.values()), null, 2));
+  await fs.rename(`${KEYS_FILE}.tmp`, KEYS_FILE);
+}
+
+/**
+ * Save all keys, one write at a time so writes never race on the temp file
+ * @returns {Promise<void>}
+ */
+function writeState() {
+  writeQueue = writeQueue.then(saveState, saveState);
+  return writeQueue;
+}
+
+/**
+ * Save usage counters soon; batches the writes of busy keys
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeState().catch((error) => log.error('Failed to save usage', { error: error.message }));
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Public view of a key record (never includes the hash)
+ * @param {Object} record - Stored key record
+ * @returns {Object} { id, name, prefix, createdAt, revokedAt, quotas, usage }
+ */
+function toPublicKey(record) {
+  const now = Date.now();
+  const usage = {};
+  for (const endpoint of new Set([...Object.keys(record.quotas), ...Object.keys(record.usage)])) {
+    const counter = record.usage[endpoint];
+    const inWindow = counter && now < counter.windowStart + QUOTA_WINDOW_MS;
+    usage[endpoint] = {
+      used: inWindow ? counter.count : 0,
+      limit: record.quotas[endpoint] ?? null,
+      resetsAt: inWindow ? new Date(counter.windowStart + QUOTA_WINDOW_MS).toISOString() : null,
+      total: counter ? counter.total : 0,
+    };
+  }
+
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt,
+    quotas: record.quotas,
+    usage,
+  };
+}
+
+/**
+ * Issue a new API key
+ * @param {Object} options - { name, quotas } (quotas merged over the defaults)
+ * @returns {Promise<Object>} { key, record } - key is the plain API key, shown only now
+ */
+async function createApiKey(options = {}) {
+  const state = await loadState();
+  const key = `dhk_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const record = {
+    id: crypto.randomUUID(),
+    name: options.name || null,
+    prefix: key.slice(0, 10),
+    keyHash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    quotas: { ...getDefaultQuotas(), ...options.quotas },
+    usage: {}, // endpoint -> { windowStart, count, total }
+  };
+
+  state.keys.set(record.id, record);
+  state.byHash.set(record.keyHash, record.id);
+  await writeState();
+
+  log.info('Created key', { id: record.id, prefix: record.prefix, name: record.name });
+  return { key, record: toPublicKey(record) };
+}
+
+/**
+ * Find the active key record for a plain API key
+ * @param {string} key - API key from the request
+ * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+ */
+async function findApiKey(key) {
+  if (!key) {
+    return null;
+  }
+  const state = await loadState();
+  const id = state.byHash.get(hashKey(key));
+  const record = id && state.keys.get(id);
+  return record && !record.revokedAt ? record : null;
+}
+
+/**
+ * Count a request against a key's quota for an endpoint
+ * @param {Object} record - Key record from findApiKey
+ * @param {string} endpoint - Quota endpoint name (enhance, generate, ...)
+ * @param {number} cost - Requests to count (a batch counts each item)
+ * @returns {Object} { allowed, limit, used, remaining, resetsAt }
+ */
+function consumeQuota(record, endpoint, cost = 1) {
+  const now = Date.now();
+  const limit = record.quotas[endpoint];
+
+  let counter = record.usage[endpoint];
+  if (!counter) {
+    counter = { windowStart: now, count: 0, total: 0 };
+    record.usage[endpoint] = counter;
+  } else if (now >= counter.windowStart + QUOTA_WINDOW_MS) {
+    counter.windowStart = now;
+    counter.count = 0;
+  }
+
+  const resetsAt = counter.windowStart + QUOTA_WINDOW_MS;
+
+  // No quota configured for this endpoint means unlimited
+  if (limit !== undefined && counter.count + cost > limit) {
+    return { allowed: false, limit, used: counter.count, remaining: Math.max(0, limit - counter.count), resetsAt };
+  }
+
+  counter.count += cost;
+  counter.total += cost;
+  scheduleSave();
+
+  return {
+    allowed: true,
+    limit: limit ?? null,
+    used: counter.count,
+    remaining: limit === undefined ? null : limit - counter.count,
+    resetsAt,
+  };
+}
+
+/**
+ * List all keys with their usage
+ * @returns {Promise<Array<Object>>} Public key records, newest first
+ */
+async function listApiKeys() {
+  const state = await loadState();
+  return Array.from(state.keys.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicKey);
+}
+
+/**
+ * Get one key with its usage
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Public key record or null
+ */
+async function getApiKey(id) {
+  const state = await loadState();
+  const record = state.keys.get(id);
+  return record ? toPublicKey(record) : null;
+}
+
+/**
+ * Revoke a key; its record and usage are kept for reporting
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Public key record, or null if not found
+ */
+async function revokeApiKey(id) {
+  const state = await loadState();
+  const record = state.keys.get(id);
+  if (!record) {
+    return null;
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await writeState();
+    log.info('Revoked key', { id, prefix: record.prefix });
+  }
+  return toPublicKey(record);
+}
+
+module.exports = {
+  createApiKey,
+  findApiKey,
+  consumeQuota,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+};
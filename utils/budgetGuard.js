@@ -0,0 +1,159 @@
+/**
+ * Daily and monthly spend caps for model calls
+ * Spend comes from the usage tracker, so it survives restarts when USAGE_FILE is persistent.
+ * Once a cap is reached, new model calls fail with BUDGET_EXHAUSTED; cached responses are
+ * still served because they never reach the model
+ */
+
+const { getCurrentSpend } = require('./usageTracker');
+const { createLogger } = require('./logger');
+const { BudgetExhaustedError } = require('./errors');
+
+const log = createLogger('budget');
+
+// Unset or 0 means no cap
+const LIMITS = {
+  day: {
+    costUsd: parseFloat(process.env.BUDGET_DAILY_USD) || null,
+    tokens: parseInt(process.env.BUDGET_DAILY_TOKENS) || null,
+  },
+  month: {
+    costUsd: parseFloat(process.env.BUDGET_MONTHLY_USD) || null,
+    tokens: parseInt(process.env.BUDGET_MONTHLY_TOKENS) || null,
+  },
+};
+
+// Percent of a cap at which a warning is logged (once per period)
+const WARN_THRESHOLDS = (process.env.BUDGET_WARN_THRESHOLDS || '50,80,90')
+  .split(',')
+  .map((percent) => parseFloat(percent))
+  .filter((percent) => percent > 0 && percent < 100)
+  .sort((a, b) => a - b);
+
+// "day:2024-05-31:costUsd:80" for every warning already logged
+const warned = new Set();
+
+function isEnabled() {
+  return Object.values(LIMITS).some((limits) => limits.costUsd || limits.tokens);
+}
+
+/**
+ * Start of the next UTC day or month
+ * @param {string} period - day | month
+ * @returns {Date} Reset time
+ */
+function getResetTime(period) {
+  const now = new Date();
+  return period === 'day'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Current spend against each configured cap
+ * @returns {Object} { enabled, exhausted, day, month } - each period has
+ *   { costUsd, limitUsd, tokens, limitTokens, percentUsed, exhausted, resetsAt }
+ */
+function getBudgetStatus() {
+  const spend = getCurrentSpend();
+  const status = { enabled: isEnabled(), exhausted: false };
+
+  for (const period of ['day', 'month']) {
+    const limits = LIMITS[period];
+    const used = spend[period];
+    const percents = ['costUsd', 'tokens']
+      .filter((metric) => limits[metric])
+      .map((metric) => (used[metric] / limits[metric]) * 100);
+    const percentUsed = percents.length > 0 ? Math.round(Math.max(...percents) * 10) / 10 : null;
+
+    status[period] = {
+      costUsd: Math.round(used.costUsd * 1e6) / 1e6,
+      limitUsd: limits.costUsd,
+      tokens: used.tokens,
+      limitTokens: limits.tokens,
+      percentUsed,
+      exhausted: percentUsed !== null && percentUsed >= 100,
+      resetsAt: getResetTime(period).toISOString(),
+    };
+    status.exhausted = status.exhausted || status[period].exhausted;
+  }
+
+  return status;
+}
+
+/**
+ * Log a warning the first time spend crosses each threshold in a period
+ * Call after every model call
+ */
+function checkBudgetWarnings() {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const spend = getCurrentSpend();
+  const today = new Date().toISOString().slice(0, 10);
+  const periodKeys = { day: today, month: today.slice(0, 7) };
+
+  for (const period of ['day', 'month']) {
+    for (const metric of ['costUsd', 'tokens']) {
+      const limit = LIMITS[period][metric];
+      if (!limit) {
+        continue;
+      }
+
+      const used = spend[period][metric];
+      const percent = (used / limit) * 100;
+      const crossed = [...WARN_THRESHOLDS, 100].filter((threshold) => percent >= threshold).pop();
+      const key = `${period}:${periodKeys[period]}:${metric}:${crossed}`;
+      if (crossed === undefined || warned.has(key)) {
+        continue;
+      }
+
+      warned.add(key);
+      const fields = { period, metric, used, limit, percent: Math.floor(percent) };
+      if (crossed >= 100) {
+        log.warn(`${period === 'day' ? 'Daily' : 'Monthly'} budget exhausted, refusing uncached requests`, {
+          ...fields,
+          resetsAt: getResetTime(period).toISOString(),
+        });
+      } else {
+        log.warn(`${period === 'day' ? 'Daily' : 'Monthly'} spend crossed a budget warning threshold`, {
+          ...fields,
+          threshold: crossed,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Throw if a spend cap has been reached
+ * Checked before every model call; calls already in flight can take spend slightly past the cap
+ * @throws {BudgetExhaustedError} 503 with retryAfter in seconds
+ */
+function assertWithinBudget() {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const status = getBudgetStatus();
+  if (!status.exhausted) {
+    return;
+  }
+
+  // Wait for the latest reset among the exhausted periods
+  const period = status.month.exhausted ? 'month' : 'day';
+  const resetsAt = new Date(status[period].resetsAt);
+
+  throw new BudgetExhaustedError(
+    `The ${period === 'day' ? 'daily' : 'monthly'} AI budget is exhausted. `
+      + `New requests will be accepted after ${resetsAt.toISOString()}; cached results are still available.`,
+    Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000))
+  );
+}
+
+module.exports = {
+  getBudgetStatus,
+  checkBudgetWarnings,
+  assertWithinBudget,
+};
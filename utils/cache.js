@@ -1,12 +1,32 @@
-const NodeCache = require('node-cache');
 const crypto = require('crypto');
+const { createStore } = require('./cacheStores');
+const { recordCacheLookup } = require('./usageTracker');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const { CircuitOpenError, UpstreamServerError } = require('./errors');
 
-// Initialize cache with 7-day TTL
-const cache = new NodeCache({
-  stdTTL: parseInt(process.env.CACHE_TTL_SECONDS) || 604800, // 7 days
-  checkperiod: 86400, // Check for expired keys every 24 hours
-  maxKeys: 1000, // Limit to 1000 entries
-});
+const log = createLogger('cache');
+
+const DEFAULT_TTL = parseInt(process.env.CACHE_TTL_SECONDS) || 604800; // 7 days
+// How long entries are kept after they expire, to serve while the model is unreachable
+const STALE_RETENTION = process.env.CACHE_STALE_RETENTION_SECONDS !== undefined
+  ? parseInt(process.env.CACHE_STALE_RETENTION_SECONDS) || 0
+  : 604800; // 7 days
+
+// Storage backend selected by CACHE_STORE (memory | file | tiered)
+const store = createStore(process.env.CACHE_STORE || 'memory');
+log.info('Using cache store', { store: store.name });
+
+// Hit/miss counters are kept here so every store reports them the same way
+const counters = {
+  hits: 0,
+  misses: 0,
+  coalesced: 0,
+  staleServed: 0,
+};
+
+// Cache key -> promise of the model call filling that key
+const inFlight = new Map();
 
 /**
  * Generate a consistent cache key from material data
@@ -33,16 +53,23 @@ function generateCacheKey(materialData) {
 
 /**
  * Get cached value
+ * Expired entries kept for stale fallback count as misses
  * @param {string} key - Cache key
  * @returns {Object|null} Cached value or null
  */
 function getCached(key) {
-  const value = cache.get(key);
-  if (value) {
-    console.log(`[Cache] HIT: ${key}`);
-    return value;
+  const entry = store.get(key);
+  if (entry && entry.value && entry.expiresAt > Date.now()) {
+    counters.hits++;
+    recordCacheLookup(key, true);
+    metrics.recordCacheLookup(key, true);
+    log.info('Hit', { key });
+    return entry.value;
   }
-  console.log(`[Cache] MISS: ${key}`);
+  counters.misses++;
+  recordCacheLookup(key, false);
+  metrics.recordCacheLookup(key, false);
+  log.info('Miss', { key });
   return null;
 }
 
@@ -53,21 +80,74 @@ function getCached(key) {
  * @param {number} ttl - Optional TTL override in seconds
  */
 function setCached(key, value, ttl) {
-  const success = cache.set(key, value, ttl);
+  const ttlSeconds = ttl || DEFAULT_TTL;
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const entry = {
+    value,
+    expiresAt,
+    retainUntil: expiresAt + STALE_RETENTION * 1000,
+  };
+  // The store keeps the entry until retainUntil; getCached stops serving it at expiresAt
+  const success = store.set(key, entry, ttlSeconds + STALE_RETENTION);
   if (success) {
-    console.log(`[Cache] SET: ${key} (TTL: ${ttl || 'default'})`);
+    log.info('Set', { key, ttlSeconds });
   } else {
-    console.error(`[Cache] FAILED to set: ${key}`);
+    log.error('Failed to set', { key });
   }
   return success;
 }
 
+/**
+ * Expired-but-retained value to serve instead of an error while the model is unreachable
+ * Only outages qualify (circuit open, 5xx, timeouts); other failures still reach the client
+ * @param {string} key - Cache key
+ * @param {Error} error - Why the model call failed
+ * @returns {Object|null} Stale value, or null if the error isn't an outage or nothing is retained
+ */
+function getStaleFallback(key, error) {
+  if (!(error instanceof CircuitOpenError || error instanceof UpstreamServerError)) {
+    return null;
+  }
+
+  const entry = store.get(key);
+  if (!entry || !entry.value) {
+    return null;
+  }
+  counters.staleServed++;
+  log.warn('Serving stale entry', { key, expiredAt: new Date(entry.expiresAt).toISOString(), reason: error.code });
+  return entry.value;
+}
+
+/**
+ * Run fn once for concurrent callers with the same cache key
+ * A cache miss while a call for the key is already in flight joins that call instead of
+ * starting another. fn should fill the cache itself so later callers hit it; a rejection
+ * reaches every caller and nothing is cached, so the next request tries again.
+ * @param {string} key - Cache key
+ * @param {Function} fn - Async function producing the value
+ * @returns {Promise<*>} fn's result, shared by every caller
+ */
+function singleFlight(key, fn) {
+  const pending = inFlight.get(key);
+  if (pending) {
+    counters.coalesced++;
+    log.info('Joined in-flight request', { key });
+    return pending;
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
 /**
  * Clear all cached values
  */
 function clearCache() {
-  cache.flushAll();
-  console.log('[Cache] Cleared all entries');
+  store.flush();
+  log.info('Cleared all entries');
 }
 
 /**
@@ -76,11 +156,13 @@ function clearCache() {
  */
 function getCacheStats() {
   return {
-    keys: cache.keys().length,
-    hits: cache.getStats().hits,
-    misses: cache.getStats().misses,
-    ksize: cache.getStats().ksize,
-    vsize: cache.getStats().vsize,
+    store: store.name,
+    ...store.stats(),
+    hits: counters.hits,
+    misses: counters.misses,
+    coalesced: counters.coalesced,
+    staleServed: counters.staleServed,
+    inFlight: inFlight.size,
   };
 }
 
@@ -88,6 +170,8 @@ module.exports = {
   generateCacheKey,
   getCached,
   setCached,
+  singleFlight,
+  getStaleFallback,
   clearCache,
   getCacheStats,
 };
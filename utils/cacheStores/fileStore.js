@@ -0,0 +1,127 @@
+/**
+ * File-backed cache store
+ * One JSON file per entry so the cache survives restarts and redeploys
+ * (point CACHE_DIR at a persistent volume on Railway)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const log = createLogger('cache');
+
+/**
+ * Turn a cache key into a safe file name
+ * @param {string} key - Cache key
+ * @returns {string} File name
+ */
+function keyToFileName(key) {
+  return `${String(key).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+}
+
+/**
+ * Create a file store
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory to keep entries in
+ * @param {number} options.sweepIntervalMs - How often to delete expired files (default: 24 hours)
+ * @returns {Object} Cache store
+ */
+function createFileStore(options = {}) {
+  const dir = path.resolve(options.dir || './data/cache');
+  fs.mkdirSync(dir, { recursive: true });
+
+  function filePath(key) {
+    return path.join(dir, keyToFileName(key));
+  }
+
+  function readRecord(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('File store could not read entry', { file, error: error.message });
+      }
+      return undefined;
+    }
+  }
+
+  function listFiles() {
+    return fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+  }
+
+  function removeFile(file) {
+    fs.rmSync(file, { force: true });
+  }
+
+  function sweepExpired() {
+    let removed = 0;
+    for (const file of listFiles()) {
+      const fullPath = path.join(dir, file);
+      const record = readRecord(fullPath);
+      if (!record || record.evictAt <= Date.now()) {
+        removeFile(fullPath);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      log.info('File store swept expired entries', { count: removed });
+    }
+  }
+
+  const sweepTimer = setInterval(sweepExpired, options.sweepIntervalMs || 86400000);
+  sweepTimer.unref();
+
+  return {
+    name: 'file',
+
+    get(key) {
+      const file = filePath(key);
+      const record = readRecord(file);
+      if (!record) {
+        return undefined;
+      }
+      if (record.evictAt <= Date.now()) {
+        removeFile(file);
+        return undefined;
+      }
+      return record.entry;
+    },
+
+    set(key, entry, ttlSeconds) {
+      const file = filePath(key);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      try {
+        const record = { key, entry, evictAt: Date.now() + ttlSeconds * 1000 };
+        // Write then rename so readers never see a half-written file
+        fs.writeFileSync(tempFile, JSON.stringify(record));
+        fs.renameSync(tempFile, file);
+        return true;
+      } catch (error) {
+        log.error('File store failed to write', { key, error: error.message });
+        removeFile(tempFile);
+        return false;
+      }
+    },
+
+    delete(key) {
+      removeFile(filePath(key));
+    },
+
+    flush() {
+      for (const file of listFiles()) {
+        removeFile(path.join(dir, file));
+      }
+    },
+
+    stats() {
+      return {
+        keys: listFiles().length,
+        dir,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
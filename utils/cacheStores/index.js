@@ -0,0 +1,43 @@
+/**
+ * Cache store factory
+ *
+ * Every store implements the same interface:
+ *   get(key) => entry | undefined
+ *   set(key, entry, ttlSeconds) => boolean
+ *   delete(key)
+ *   flush()
+ *   stats() => { keys, ... }
+ *
+ * where entry is { value, expiresAt, retainUntil }. Stores keep an entry for the whole
+ * ttlSeconds they are given, which runs to retainUntil; expiresAt is when the cache stops
+ * serving it as fresh (entries written before retainUntil existed have only expiresAt).
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createTieredStore } = require('./tieredStore');
+
+/**
+ * Create the store selected by CACHE_STORE (memory | file | tiered)
+ * @param {string} type - Store type (default: memory)
+ * @returns {Object} Cache store
+ */
+function createStore(type = 'memory') {
+  const maxKeys = parseInt(process.env.CACHE_MAX_KEYS) || 1000;
+  const dir = process.env.CACHE_DIR || './data/cache';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore({ maxKeys });
+    case 'file':
+      return createFileStore({ dir });
+    case 'tiered':
+      return createTieredStore(createMemoryStore({ maxKeys }), createFileStore({ dir }));
+    default:
+      throw new Error(`Unknown CACHE_STORE "${type}" (expected memory, file or tiered)`);
+  }
+}
+
+module.exports = {
+  createStore,
+};
@@ -0,0 +1,68 @@
+/**
+ * In-process cache store backed by NodeCache
+ * Fast, but entries are lost on restart/redeploy
+ */
+
+const NodeCache = require('node-cache');
+const { createLogger } = require('../logger');
+
+const log = createLogger('cache');
+
+/**
+ * Create a memory store
+ * @param {Object} options - Store options
+ * @param {number} options.maxKeys - Maximum number of entries (default: 1000)
+ * @returns {Object} Cache store
+ */
+function createMemoryStore(options = {}) {
+  const cache = new NodeCache({
+    checkperiod: 86400, // Check for expired keys every 24 hours
+    maxKeys: options.maxKeys || 1000,
+    useClones: false,
+  });
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      return cache.get(key);
+    },
+
+    set(key, entry, ttlSeconds) {
+      try {
+        return cache.set(key, entry, ttlSeconds);
+      } catch (error) {
+        // NodeCache throws ECACHEFULL once maxKeys is reached; make room by dropping an
+        // expired entry (kept only for stale fallback) rather than refusing a fresh one
+        const expiredKey = cache.keys().find((candidate) => cache.get(candidate)?.expiresAt <= Date.now());
+        if (expiredKey !== undefined) {
+          cache.del(expiredKey);
+          return cache.set(key, entry, ttlSeconds);
+        }
+        log.warn('Memory store rejected entry', { key, error: error.message });
+        return false;
+      }
+    },
+
+    delete(key) {
+      cache.del(key);
+    },
+
+    flush() {
+      cache.flushAll();
+    },
+
+    stats() {
+      const { ksize, vsize } = cache.getStats();
+      return {
+        keys: cache.keys().length,
+        ksize,
+        vsize,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,60 @@
+/**
+ * Two-tier cache store: a small memory store in front of a persistent store
+ * Reads hit memory first and fall back to disk, promoting disk hits into memory
+ */
+
+/**
+ * Create a tiered store
+ * @param {Object} memoryStore - Fast, volatile store
+ * @param {Object} persistentStore - Slower store that survives restarts
+ * @returns {Object} Cache store
+ */
+function createTieredStore(memoryStore, persistentStore) {
+  return {
+    name: `tiered(${memoryStore.name}+${persistentStore.name})`,
+
+    get(key) {
+      const fromMemory = memoryStore.get(key);
+      if (fromMemory !== undefined) {
+        return fromMemory;
+      }
+
+      const fromDisk = persistentStore.get(key);
+      if (fromDisk !== undefined) {
+        const remainingSeconds = Math.ceil(((fromDisk.retainUntil || fromDisk.expiresAt) - Date.now()) / 1000);
+        if (remainingSeconds > 0) {
+          memoryStore.set(key, fromDisk, remainingSeconds);
+        }
+      }
+      return fromDisk;
+    },
+
+    set(key, entry, ttlSeconds) {
+      memoryStore.set(key, entry, ttlSeconds);
+      return persistentStore.set(key, entry, ttlSeconds);
+    },
+
+    delete(key) {
+      memoryStore.delete(key);
+      persistentStore.delete(key);
+    },
+
+    flush() {
+      memoryStore.flush();
+      persistentStore.flush();
+    },
+
+    stats() {
+      const persistentStats = persistentStore.stats();
+      return {
+        keys: persistentStats.keys,
+        memory: memoryStore.stats(),
+        persistent: persistentStats,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createTieredStore,
+};
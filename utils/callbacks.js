@@ -0,0 +1,220 @@
+/**
+ * Signed webhook callbacks for finished jobs
+ * The body is JSON; X-Webhook-Signature is "sha256=" + the hex HMAC-SHA256, keyed with
+ * JOB_CALLBACK_SECRET, of "<X-Webhook-Timestamp>.<body>". Receivers should recompute it over
+ * the raw body and reject old timestamps so a captured callback can't be replayed.
+ *
+ * Callback URLs come from clients, so they must not reach the backend's own network: hosts
+ * have to resolve to public addresses (checked again on the connection itself, so a DNS
+ * answer can't change in between), unless JOB_CALLBACK_ALLOWED_HOSTS names them.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createLogger } = require('./logger');
+const { RequestValidationError } = require('./errors');
+
+const log = createLogger('callbacks');
+
+const SECRET = process.env.JOB_CALLBACK_SECRET || '';
+const TIMEOUT_MS = parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+
+// Hosts the operator trusts as callback targets; when set, no other host is accepted
+const ALLOWED_HOSTS = (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether callbacks can be signed (JOB_CALLBACK_SECRET is set)
+ * @returns {boolean} True if callbacks are enabled
+ */
+function callbacksEnabled() {
+  return SECRET.length > 0;
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowListed(hostname) {
+  return ALLOWED_HOSTS.includes(hostname.toLowerCase());
+}
+
+/**
+ * DNS lookup for callback connections that refuses non-public addresses
+ * Same signature as dns.lookup, for the `lookup` option of http.request
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a callback URL may be called
+ * @param {string} url - Callback URL
+ * @throws {RequestValidationError} If the URL is not http(s), not on JOB_CALLBACK_ALLOWED_HOSTS
+ *   (when set), or its host is or resolves to a non-public address
+ */
+async function assertCallbackUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new RequestValidationError('callbackUrl is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new RequestValidationError('callbackUrl must be an http or https URL');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (ALLOWED_HOSTS.length > 0) {
+    if (!isAllowListed(hostname)) {
+      throw new RequestValidationError(`callbackUrl host ${hostname} is not allowed`);
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+  } catch (error) {
+    throw new RequestValidationError(`callbackUrl host ${hostname} could not be resolved`);
+  }
+  if (addresses.some(isBlockedAddress)) {
+    throw new RequestValidationError('callbackUrl must point to a public address');
+  }
+}
+
+/**
+ * POST a body to a URL without following redirects
+ * @param {string} url - Target URL
+ * @param {string} body - Serialized JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<number>} Response status
+ */
+function postJson(url, body, headers) {
+  const parsed = new URL(url);
+  const transport = parsed.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(parsed, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers,
+      },
+      // Allow-listed hosts are trusted by the operator, so they may be internal
+      lookup: isAllowListed(parsed.hostname.replace(/^\[|\]$/g, '')) ? undefined : publicOnlyLookup,
+      timeout: TIMEOUT_MS,
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Callback timed out after ${TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Signature headers for a callback body
+ * @param {string} body - Serialized JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {Object} { 'X-Webhook-Timestamp', 'X-Webhook-Signature' }
+ */
+function signPayload(body, timestamp) {
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signature}`,
+  };
+}
+
+/**
+ * POST a payload to a callback URL, retrying network errors and 5xx with exponential backoff
+ * Never throws: a receiver that is down must not affect the job it is told about
+ * @param {string} url - Callback URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<Object>} { delivered, attempts, status }
+ */
+async function deliverCallback(url, payload) {
+  const body = JSON.stringify(payload);
+  let status = null;
+
+  // Checked again at delivery: the host may resolve differently than when the job was queued
+  try {
+    await assertCallbackUrlAllowed(url);
+  } catch (error) {
+    log.warn('Callback refused', { url, error: error.message });
+    return { delivered: false, attempts: 0, status };
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      // Signed per attempt so the timestamp is fresh on retries
+      status = await postJson(url, body, signPayload(body, Math.floor(Date.now() / 1000)));
+
+      if (status >= 200 && status < 300) {
+        log.info('Callback delivered', { url, status, attempt });
+        return { delivered: true, attempts: attempt, status };
+      }
+      // The receiver rejected it; sending the same body again won't help
+      if (status < 500) {
+        log.warn('Callback rejected', { url, status, attempt });
+        return { delivered: false, attempts: attempt, status };
+      }
+      log.warn('Callback failed', { url, status, attempt });
+    } catch (error) {
+      log.warn('Callback failed', { url, attempt, error: error.message });
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, BASE_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+
+  log.error('Callback gave up', { url, attempts: MAX_ATTEMPTS });
+  return { delivered: false, attempts: MAX_ATTEMPTS, status };
+}
+
+module.exports = {
+  callbacksEnabled,
+  assertCallbackUrlAllowed,
+  signPayload,
+  deliverCallback,
+};
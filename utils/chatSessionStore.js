@@ -0,0 +1,135 @@
+/**
+ * In-memory store for step chat sessions
+ * A session holds the step being discussed and every question/answer turn so far;
+ * sessions expire after CHAT_SESSION_TTL_SECONDS of inactivity
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('chat-sessions');
+
+const SESSION_TTL_MS = (parseInt(process.env.CHAT_SESSION_TTL_SECONDS) || 3600) * 1000; // 1 hour default
+const MAX_TURNS = parseInt(process.env.CHAT_MAX_TURNS) || 20;
+const MAX_SESSIONS = parseInt(process.env.CHAT_MAX_SESSIONS) || 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// id -> session; Map keeps insertion order, so the first entry is the oldest
+const sessions = new Map();
+
+function isExpired(session, now = Date.now()) {
+  return session.expiresAt <= now;
+}
+
+function sweepExpired() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, session] of sessions) {
+    if (isExpired(session, now)) {
+      sessions.delete(id);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    log.info('Removed expired sessions', { count: removed });
+  }
+}
+
+// Don't keep the process alive just to sweep
+setInterval(sweepExpired, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Start a chat session about a step
+ * @param {Object} seed - { step: { title, instruction, ... }, project: { id, title, category } }
+ * @returns {Object} New session
+ */
+function createSession(seed) {
+  // Make room by dropping the oldest session rather than refusing new ones
+  if (sessions.size >= MAX_SESSIONS) {
+    sweepExpired();
+    if (sessions.size >= MAX_SESSIONS) {
+      const oldestId = sessions.keys().next().value;
+      sessions.delete(oldestId);
+      log.warn('Session limit reached, dropped the oldest session', { sessionId: oldestId });
+    }
+  }
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + SESSION_TTL_MS,
+    step: seed.step,
+    project: seed.project,
+    turns: [], // [{ question, answer, askedAt }]
+    maxTurns: MAX_TURNS,
+    pending: false, // True while a question is waiting for its answer
+  };
+
+  sessions.set(session.id, session);
+  log.info('Created session', { sessionId: session.id, step: session.step.title });
+  return session;
+}
+
+/**
+ * Get a live session
+ * @param {string} id - Session ID
+ * @returns {Object|null} Session, or null if unknown or expired
+ */
+function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    return null;
+  }
+  if (isExpired(session)) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Record an answered question and extend the session's expiry
+ * @param {Object} session - Session from getSession
+ * @param {Object} turn - { question, answer }
+ * @returns {Object} The updated session
+ */
+function addTurn(session, turn) {
+  session.turns.push({ ...turn, askedAt: new Date().toISOString() });
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return session;
+}
+
+/**
+ * Delete a session
+ * @param {string} id - Session ID
+ * @returns {boolean} True if a session was deleted
+ */
+function deleteSession(id) {
+  return sessions.delete(id);
+}
+
+/**
+ * Public view of a session
+ * @param {Object} session - Stored session
+ * @returns {Object} { sessionId, step, project, turns, turnsRemaining, createdAt, expiresAt }
+ */
+function toPublicSession(session) {
+  return {
+    sessionId: session.id,
+    step: session.step,
+    project: session.project,
+    turns: session.turns,
+    turnsRemaining: Math.max(0, session.maxTurns - session.turns.length),
+    createdAt: session.createdAt,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  addTurn,
+  deleteSession,
+  toPublicSession,
+};
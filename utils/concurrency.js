@@ -0,0 +1,36 @@
+/**
+ * Helpers for running async work with a bounded number of concurrent tasks
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight at once
+ * Results keep input order; rejections are captured rather than thrown
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index) => Promise
+ * @returns {Promise<Array<Object>>} Array of { status: 'fulfilled', value } | { status: 'rejected', reason }
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,231 @@
+/**
+ * Error classes and the error-code catalog
+ *
+ * Every error response shares one envelope:
+ *   { success: false, error, code, message, retryable, details? }
+ * plus a Retry-After header (seconds) when the client should wait before retrying.
+ * `code` values are stable, so clients should branch on them rather than on `message`.
+ */
+
+// code -> { status, error (short title), retryable }
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, error: 'Validation error', retryable: false },
+  UNAUTHORIZED: { status: 401, error: 'Unauthorized', retryable: false },
+  NOT_FOUND: { status: 404, error: 'Not found', retryable: false },
+  TURN_LIMIT_REACHED: { status: 409, error: 'Turn limit reached', retryable: false },
+  QUESTION_IN_PROGRESS: { status: 409, error: 'Question in progress', retryable: true },
+  PAYLOAD_TOO_LARGE: { status: 413, error: 'Payload too large', retryable: false },
+  RATE_LIMITED: { status: 429, error: 'Too many requests', retryable: true },
+  QUOTA_EXCEEDED: { status: 429, error: 'Quota exceeded', retryable: true },
+  INTERNAL_ERROR: { status: 500, error: 'Internal server error', retryable: false },
+  UPSTREAM_AUTH_FAILED: { status: 500, error: 'Configuration error', retryable: false },
+  REPLAY_FIXTURE_MISSING: { status: 500, error: 'Replay fixture missing', retryable: false },
+  UPSTREAM_UNAVAILABLE: { status: 502, error: 'AI service error', retryable: true },
+  MODEL_OUTPUT_PARSE_FAILED: { status: 502, error: 'Invalid AI response', retryable: true },
+  MODEL_OUTPUT_INVALID: { status: 502, error: 'Invalid AI response', retryable: true },
+  UPSTREAM_RATE_LIMITED: { status: 503, error: 'AI service busy', retryable: true },
+  UPSTREAM_CIRCUIT_OPEN: { status: 503, error: 'AI service unavailable', retryable: true },
+  BUDGET_EXHAUSTED: { status: 503, error: 'Budget exhausted', retryable: true },
+  JOB_QUEUE_FULL: { status: 503, error: 'Job queue full', retryable: true },
+};
+
+/**
+ * Base class for errors with a catalog code
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Client-facing message
+ * @param {Object} options - { details, retryAfter (seconds), cause }
+ */
+class AppError extends Error {
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    const entry = ERROR_CODES[code];
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = entry.status;
+    this.title = entry.error;
+    this.retryable = entry.retryable;
+    this.details = options.details;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+class RequestValidationError extends AppError {
+  constructor(message, details) {
+    super('VALIDATION_FAILED', message, { details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super('UNAUTHORIZED', message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super('NOT_FOUND', message);
+  }
+}
+
+// Request conflicts with the state of a resource (TURN_LIMIT_REACHED, QUESTION_IN_PROGRESS)
+class ConflictError extends AppError {}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message) {
+    super('PAYLOAD_TOO_LARGE', message);
+  }
+}
+
+// Our own limits: per-IP rate limit (RATE_LIMITED) or API key quota (QUOTA_EXCEEDED)
+class RateLimitError extends AppError {}
+
+class UpstreamAuthError extends AppError {
+  constructor(options) {
+    super('UPSTREAM_AUTH_FAILED', 'Server configuration issue. Please contact support.', options);
+  }
+}
+
+class UpstreamRateLimitError extends AppError {
+  constructor(options) {
+    super('UPSTREAM_RATE_LIMITED', 'The AI service is busy. Please try again shortly.', options);
+  }
+}
+
+class UpstreamServerError extends AppError {
+  constructor(options) {
+    super('UPSTREAM_UNAVAILABLE', 'The AI service is unavailable. Please try again.', options);
+  }
+}
+
+// The provider's circuit breaker is open, so the call was not attempted
+class CircuitOpenError extends AppError {
+  constructor(message, retryAfter) {
+    super('UPSTREAM_CIRCUIT_OPEN', message, { retryAfter });
+  }
+}
+
+// Model replies a stronger model may fix; these trigger escalation up the model ladder
+class ModelOutputError extends AppError {}
+
+class ModelOutputParseError extends ModelOutputError {
+  constructor(message) {
+    super('MODEL_OUTPUT_PARSE_FAILED', message);
+  }
+}
+
+class ModelOutputValidationError extends ModelOutputError {
+  constructor(message) {
+    super('MODEL_OUTPUT_INVALID', message);
+  }
+}
+
+class BudgetExhaustedError extends AppError {
+  constructor(message, retryAfter) {
+    super('BUDGET_EXHAUSTED', message, { retryAfter });
+  }
+}
+
+class QueueFullError extends AppError {
+  constructor(message) {
+    super('JOB_QUEUE_FULL', message);
+  }
+}
+
+class ReplayFixtureMissingError extends AppError {
+  constructor(message) {
+    super('REPLAY_FIXTURE_MISSING', message);
+  }
+}
+
+/**
+ * Map a provider/SDK failure to a typed upstream error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {Error} Typed error, or the original if it is already typed or not an upstream failure
+ */
+function toUpstreamError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const retryAfter = parseInt(error.headers?.['retry-after']) || undefined;
+  if (error.status === 401 || error.status === 403) {
+    return new UpstreamAuthError({ cause: error });
+  }
+  if (error.status === 429) {
+    return new UpstreamRateLimitError({ cause: error, retryAfter });
+  }
+  if (error.status >= 500 || ['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError'].includes(error.name)) {
+    return new UpstreamServerError({ cause: error, retryAfter });
+  }
+  return error;
+}
+
+/**
+ * Turn anything thrown into an AppError
+ * Unknown errors become INTERNAL_ERROR with a generic message so internals never leak
+ * @param {Error} error - Thrown error
+ * @returns {AppError} Typed error
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Body parser failures (from express.json)
+  if (error.type === 'entity.too.large') {
+    return new PayloadTooLargeError(`Request body exceeds the ${error.limit} byte limit for this endpoint.`);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new RequestValidationError('Request body is not valid JSON');
+  }
+
+  const upstream = toUpstreamError(error);
+  if (upstream instanceof AppError) {
+    return upstream;
+  }
+  return new AppError('INTERNAL_ERROR', 'An unexpected error occurred. Please try again.', { cause: error });
+}
+
+/**
+ * Response body for an error, in the shared envelope
+ * @param {Error} error - Thrown error
+ * @returns {Object} { success: false, error, code, message, retryable, details? }
+ */
+function toErrorBody(error) {
+  const appError = normalizeError(error);
+  const body = {
+    success: false,
+    error: appError.title,
+    code: appError.code,
+    message: appError.message,
+    retryable: appError.retryable,
+  };
+  if (appError.details !== undefined) {
+    body.details = appError.details;
+  }
+  return body;
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  RequestValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  UpstreamAuthError,
+  UpstreamRateLimitError,
+  UpstreamServerError,
+  CircuitOpenError,
+  ModelOutputError,
+  ModelOutputParseError,
+  ModelOutputValidationError,
+  BudgetExhaustedError,
+  QueueFullError,
+  ReplayFixtureMissingError,
+  toUpstreamError,
+  normalizeError,
+  toErrorBody,
+};
@@ -0,0 +1,75 @@
+/**
+ * Decoding and checking of base64 images sent by clients
+ * Images become model image content blocks, so they must be a type the model accepts
+ */
+
+const SUPPORTED_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Per-image limit of the model APIs (decoded bytes)
+const MAX_IMAGE_BYTES = (parseInt(process.env.DIAGNOSE_PHOTO_MAX_IMAGE_MB) || 5) * 1024 * 1024;
+
+const DATA_URL_PATTERN = /^data:([\w/+.-]+);base64,/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Detect an image type from its first bytes
+ * @param {Buffer} bytes - Decoded image
+ * @returns {string|null} Media type, or null if not a supported image
+ */
+function sniffMediaType(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (bytes.subarray(0, 4).toString('ascii') === 'GIF8') {
+    return 'image/gif';
+  }
+  if (bytes.subarray(0, 4).toString('ascii') === 'RIFF' && bytes.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Check and normalize one client image
+ * Accepts raw base64 or a data URL; the type is taken from the bytes, not trusted from the client
+ * @param {Object} image - { data, mediaType }
+ * @returns {Object} { valid: boolean, error: string, image: { mediaType, data, bytes } }
+ */
+function normalizeImage(image) {
+  let data = String(image.data || '').trim();
+  const dataUrl = DATA_URL_PATTERN.exec(data);
+  if (dataUrl) {
+    data = data.slice(dataUrl[0].length);
+  }
+  data = data.replace(/\s+/g, '');
+
+  if (!data || !BASE64_PATTERN.test(data)) {
+    return { valid: false, error: 'is not valid base64' };
+  }
+
+  const bytes = Buffer.from(data, 'base64');
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    return {
+      valid: false,
+      error: `is ${(bytes.length / 1024 / 1024).toFixed(1)}MB, over the ${MAX_IMAGE_BYTES / 1024 / 1024}MB limit per image`,
+    };
+  }
+
+  const mediaType = sniffMediaType(bytes);
+  if (!mediaType) {
+    return { valid: false, error: `must be one of ${SUPPORTED_MEDIA_TYPES.join(', ')}` };
+  }
+
+  return {
+    valid: true,
+    image: { mediaType, data, bytes: bytes.length },
+  };
+}
+
+module.exports = {
+  SUPPORTED_MEDIA_TYPES,
+  normalizeImage,
+};
@@ -0,0 +1,180 @@
+/**
+ * In-memory queue for background jobs (async project generation)
+ * At most JOB_CONCURRENCY jobs run at once and at most JOB_MAX_QUEUED wait, so a burst of
+ * async requests can't fan out into unlimited concurrent model calls. Finished jobs are kept
+ * for JOB_TTL_SECONDS so clients can poll for the result; jobs do not survive a restart.
+ */
+
+const crypto = require('crypto');
+const { createLogger, runWithRequestContext } = require('./logger');
+const { deliverCallback } = require('./callbacks');
+const { QueueFullError, toErrorBody } = require('./errors');
+
+const log = createLogger('jobs');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED) || 100;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_SECONDS) || 3600) * 1000; // 1 hour default
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// id -> job
+const jobs = new Map();
+// Jobs waiting for a worker, oldest first
+const queue = [];
+let running = 0;
+
+function sweepExpired() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, job] of jobs) {
+    if (job.expiresAt !== null && job.expiresAt <= now) {
+      jobs.delete(id);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    log.info('Removed expired jobs', { count: removed });
+  }
+}
+
+// Don't keep the process alive just to sweep
+setInterval(sweepExpired, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Public view of a job
+ * @param {Object} job - Stored job
+ * @returns {Object} { jobId, type, status, createdAt, startedAt, finishedAt, result?, error?, callback? }
+ */
+function toPublicJob(job) {
+  const { success, ...error } = job.error ? toErrorBody(job.error) : {};
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.status === 'succeeded' && { result: job.result }),
+    ...(job.status === 'failed' && { error }),
+    ...(job.callback && { callback: job.callback }),
+  };
+}
+
+async function notify(job) {
+  job.callback.status = 'pending';
+  const { callback, ...payload } = toPublicJob(job);
+  const delivery = await deliverCallback(job.callback.url, payload);
+  job.callback.status = delivery.delivered ? 'delivered' : 'failed';
+  job.callback.attempts = delivery.attempts;
+}
+
+async function runJob(job) {
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  log.info('Job started', { jobId: job.id, type: job.type });
+
+  try {
+    job.result = await job.run();
+    job.status = 'succeeded';
+    log.info('Job succeeded', { jobId: job.id, durationMs: Date.now() - Date.parse(job.startedAt) });
+  } catch (error) {
+    job.error = error;
+    job.status = 'failed';
+    log.error('Job failed', { jobId: job.id, error });
+  } finally {
+    running--;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = Date.now() + JOB_TTL_MS;
+    job.run = null;
+  }
+
+  // The worker slot is already free, so a slow callback doesn't hold up the queue
+  drain();
+  if (job.callback) {
+    await notify(job);
+  }
+}
+
+function drain() {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    // Log lines and model calls made by the job carry the ID of the request that queued it
+    runWithRequestContext({ requestId: job.requestId }, () => runJob(job));
+  }
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Job type (e.g. generate-project)
+ * @param {Function} run - Async function producing the job's result
+ * @param {Object} options - { requestId, owner (API key ID, if any), callbackUrl }
+ * @returns {Object} New job
+ * @throws {QueueFullError} When JOB_MAX_QUEUED jobs are already waiting
+ */
+function enqueueJob(type, run, options = {}) {
+  if (queue.length >= MAX_QUEUED) {
+    log.warn('Job queue full, rejecting job', { type, queued: queue.length });
+    throw new QueueFullError(`Too many jobs are waiting (${MAX_QUEUED}). Please try again shortly.`);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued', // queued -> running -> succeeded | failed
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null, // Set when the job finishes
+    requestId: options.requestId,
+    owner: options.owner || null,
+    callback: options.callbackUrl ? { url: options.callbackUrl, status: 'waiting', attempts: 0 } : null,
+    result: null,
+    error: null,
+    run,
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  log.info('Job queued', { jobId: job.id, type, queued: queue.length, running });
+  drain();
+  return job;
+}
+
+/**
+ * Get a job
+ * @param {string} id - Job ID
+ * @param {string|null} owner - API key ID of the caller; jobs queued with a key are only visible to it
+ * @returns {Object|null} Job, or null if unknown, expired or owned by another key
+ */
+function getJob(id, owner = null) {
+  const job = jobs.get(id);
+  if (!job || (job.owner && job.owner !== owner)) {
+    return null;
+  }
+  if (job.expiresAt !== null && job.expiresAt <= Date.now()) {
+    jobs.delete(id);
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Queue statistics
+ * @returns {Object} { queued, running, concurrency, maxQueued }
+ */
+function getQueueStats() {
+  return {
+    queued: queue.length,
+    running,
+    concurrency: CONCURRENCY,
+    maxQueued: MAX_QUEUED,
+  };
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  getQueueStats,
+  toPublicJob,
+};
@@ -0,0 +1,221 @@
+/**
+ * Tolerant JSON extraction for model output
+ * Finds the first JSON object in a reply and repairs the mistakes models commonly make
+ */
+
+/**
+ * Repairs that may be applied, in the order they run
+ */
+const REPAIRS = {
+  STRIPPED_CODE_FENCE: 'stripped_code_fence',
+  EXTRACTED_FROM_PROSE: 'extracted_from_prose',
+  ESCAPED_CONTROL_CHARACTERS: 'escaped_control_characters',
+  REMOVED_TRAILING_COMMAS: 'removed_trailing_commas',
+};
+
+const CONTROL_CHAR_ESCAPES = {
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f',
+};
+
+/**
+ * Remove a markdown code fence (```json ... ``` or ``` ... ```) wrapping the whole text
+ * Fences elsewhere are left alone: they may be prose around the object or part of a string value
+ * @param {string} text - Trimmed model output
+ * @returns {string|null} Fence contents, or null if the text is not fenced
+ */
+function stripCodeFence(text) {
+  const match = text.match(/^```(?:json|JSON)?[ \t]*\r?\n([\s\S]*?)\r?\n?```$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Locate the first balanced JSON object
+ * @param {string} text - Text that contains a JSON object somewhere
+ * @returns {Object|null} { json, start, end, truncated } or null if no object starts;
+ *   truncated is true when the text ends before the object closes
+ */
+function findFirstObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  const closers = [];
+  let isInString = false;
+  let escape = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (escape) {
+      escape = false;
+      continue;
+    }
+
+    if (isInString) {
+      if (char === '\\') {
+        escape = true;
+      } else if (char === '"') {
+        isInString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      isInString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) {
+        return { json: text.slice(start, i + 1), start, end: i + 1, truncated: false };
+      }
+    }
+  }
+
+  // Ran out of text, usually at max_tokens
+  return { json: text.slice(start), start, end: text.length, truncated: true };
+}
+
+/**
+ * Escape raw control characters (newlines, tabs...) that appear inside string values
+ * @param {string} json - JSON text
+ * @returns {string} JSON text with control characters escaped
+ */
+function escapeControlCharacters(json) {
+  let isInString = false;
+  let escape = false;
+  let fixed = '';
+
+  for (const char of json) {
+    if (escape) {
+      fixed += char;
+      escape = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      fixed += char;
+      escape = isInString;
+      continue;
+    }
+
+    if (char === '"') {
+      isInString = !isInString;
+      fixed += char;
+      continue;
+    }
+
+    if (isInString && char < ' ') {
+      fixed += CONTROL_CHAR_ESCAPES[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+      continue;
+    }
+
+    fixed += char;
+  }
+
+  return fixed;
+}
+
+/**
+ * Remove commas that directly precede a closing bracket, outside of strings
+ * @param {string} json - JSON text
+ * @returns {string} JSON text without trailing commas
+ */
+function removeTrailingCommas(json) {
+  let isInString = false;
+  let escape = false;
+  let fixed = '';
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (escape) {
+      escape = false;
+    } else if (isInString) {
+      if (char === '\\') {
+        escape = true;
+      } else if (char === '"') {
+        isInString = false;
+      }
+    } else if (char === '"') {
+      isInString = true;
+    } else if (char === ',') {
+      const rest = json.slice(i + 1);
+      if (/^\s*[}\]]/.test(rest)) {
+        continue;
+      }
+    }
+
+    fixed += char;
+  }
+
+  return fixed;
+}
+
+/**
+ * Extract and parse the first JSON object from model output
+ * @param {string} text - Raw model output
+ * @returns {Object} { value, repairs } where repairs lists the REPAIRS that were applied
+ * @throws {Error} If no parseable JSON object can be recovered, including when the reply was
+ *   cut off: a closed-up partial object would pass as a complete (but shorter) answer
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Model output must be a string');
+  }
+
+  const repairs = [];
+  let candidate = text.trim();
+
+  const fenced = stripCodeFence(candidate);
+  if (fenced !== null) {
+    candidate = fenced.trim();
+    repairs.push(REPAIRS.STRIPPED_CODE_FENCE);
+  }
+
+  const found = findFirstObject(candidate);
+  if (!found) {
+    throw new Error('No JSON object found in model output');
+  }
+  if (found.truncated) {
+    throw new Error('Model output ends before the JSON object is complete (truncated)');
+  }
+  if (found.start > 0 || candidate.slice(found.end).trim() !== '') {
+    repairs.push(REPAIRS.EXTRACTED_FROM_PROSE);
+  }
+  candidate = found.json;
+
+  // Well-formed output needs no further repair
+  try {
+    return { value: JSON.parse(candidate), repairs };
+  } catch (error) {
+    // Fall through to repairs
+  }
+
+  const escaped = escapeControlCharacters(candidate);
+  if (escaped !== candidate) {
+    candidate = escaped;
+    repairs.push(REPAIRS.ESCAPED_CONTROL_CHARACTERS);
+  }
+
+  const withoutTrailingCommas = removeTrailingCommas(candidate);
+  if (withoutTrailingCommas !== candidate) {
+    candidate = withoutTrailingCommas;
+    repairs.push(REPAIRS.REMOVED_TRAILING_COMMAS);
+  }
+
+  const value = JSON.parse(candidate);
+  return { value, repairs };
+}
+
+module.exports = {
+  REPAIRS,
+  extractJson,
+};
@@ -0,0 +1,107 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line: { time, level, component, requestId, msg, ...fields }.
+ * The request ID comes from the async context set up by middleware/requestId.js, so every
+ * log line written while handling a request carries it without being passed around.
+ *
+ * LOG_LEVEL: debug | info | warn | error (default info)
+ * LOG_FORMAT: json (default) | pretty (one readable line per entry, for local development)
+ * LOG_PAYLOADS: true to log full prompts and model replies; otherwise they are redacted
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const pretty = process.env.LOG_FORMAT === 'pretty';
+const logPayloads = process.env.LOG_PAYLOADS === 'true';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context ({ requestId }) visible to every log call it makes
+ * @param {Object} context - { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's return value
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * ID of the request being handled, if any
+ * @returns {string|undefined} Request ID
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Prompt or model output to log: the value itself with LOG_PAYLOADS=true, else a placeholder
+ * @param {*} value - String or object
+ * @returns {*} Value or "[redacted N chars]"
+ */
+function payload(value) {
+  if (logPayloads) {
+    return value;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value) || '';
+  return `[redacted ${text.length} chars]`;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+  };
+}
+
+function write(level, component, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const details = {};
+  for (const [key, value] of Object.entries(fields)) {
+    details[key] = value instanceof Error ? serializeError(value) : value;
+  }
+
+  const time = new Date().toISOString();
+  const requestId = getRequestId();
+  const line = pretty
+    ? `${time} ${level.toUpperCase()} [${component}]${requestId ? ` (${requestId})` : ''} ${msg}`
+      + (Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : '')
+    : JSON.stringify({ time, level, component, requestId, msg, ...details });
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Logger for one part of the service
+ * @param {string} component - Component name (claude, cache, generate, ...)
+ * @returns {Object} { debug, info, warn, error } - each (msg, fields)
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithRequestContext,
+  getRequestId,
+  payload,
+};
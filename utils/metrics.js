@@ -0,0 +1,199 @@
+/**
+ * Prometheus metrics, served in text format at GET /metrics
+ * Default Node.js process metrics are included alongside the ones below
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'],
+  // Model calls take seconds, so the buckets reach well past the usual web defaults
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 60],
+  registers: [registry],
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Cache lookups by key prefix and result',
+  labelNames: ['prefix', 'result'],
+  registers: [registry],
+});
+
+const llmCalls = new client.Counter({
+  name: 'llm_calls_total',
+  help: 'Model calls by endpoint, model and outcome',
+  labelNames: ['endpoint', 'model', 'outcome'],
+  registers: [registry],
+});
+
+const llmCallDuration = new client.Histogram({
+  name: 'llm_call_duration_seconds',
+  help: 'Model call latency by endpoint',
+  labelNames: ['endpoint'],
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 40, 60, 120],
+  registers: [registry],
+});
+
+const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens used by model calls',
+  labelNames: ['endpoint', 'model', 'type'],
+  registers: [registry],
+});
+
+const llmRetries = new client.Counter({
+  name: 'llm_retries_total',
+  help: 'Model call retries, including escalations up the model ladder',
+  labelNames: ['endpoint'],
+  registers: [registry],
+});
+
+const llmOutputFailures = new client.Counter({
+  name: 'llm_output_failures_total',
+  help: 'Model replies that could not be parsed (parse) or failed schema validation (validation)',
+  labelNames: ['endpoint', 'type'],
+  registers: [registry],
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by the per-IP rate limiter or API key quotas',
+  labelNames: ['limiter'],
+  registers: [registry],
+});
+
+const circuitState = new client.Gauge({
+  name: 'llm_circuit_state',
+  help: 'Provider circuit breaker state: 0 closed, 1 half-open, 2 open',
+  labelNames: ['provider'],
+  registers: [registry],
+});
+
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+/**
+ * Express middleware timing every request
+ * Routes are labelled by their pattern (/api/projects/:id), never the raw URL, to keep label
+ * cardinality bounded; requests that match no route share the "unmatched" label
+ */
+function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${res.locals.routeBase ?? req.baseUrl}${req.route.path}` : 'unmatched',
+      status: String(res.statusCode),
+    };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+}
+
+/**
+ * Remember the mount path of the routers below, for the route label
+ * Express resets req.baseUrl when an error leaves a router through next(error), so by the
+ * time the response finishes it no longer says where the route was mounted. Mount this at
+ * each router mount point.
+ */
+function captureRouteBase(req, res, next) {
+  res.locals.routeBase = req.baseUrl;
+  next();
+}
+
+/**
+ * Record a cache lookup
+ * @param {string} key - Cache key; its prefix (project_, step_, ...) is the label, bare hashes are materials
+ * @param {boolean} hit - Whether the lookup was a hit
+ */
+function recordCacheLookup(key, hit) {
+  const prefix = key.includes('_') ? key.slice(0, key.indexOf('_')) : 'material';
+  cacheLookups.inc({ prefix, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Record a finished model call
+ * @param {Object} call - { endpoint, model, usage: { inputTokens, outputTokens }, latencyMs, error }
+ */
+function recordModelCall(call) {
+  const model = call.model || 'unknown';
+  llmCalls.inc({ endpoint: call.endpoint, model, outcome: call.error ? 'error' : 'success' });
+  llmCallDuration.observe({ endpoint: call.endpoint }, (call.latencyMs || 0) / 1000);
+
+  if (call.usage) {
+    llmTokens.inc({ endpoint: call.endpoint, model, type: 'input' }, call.usage.inputTokens || 0);
+    llmTokens.inc({ endpoint: call.endpoint, model, type: 'output' }, call.usage.outputTokens || 0);
+  }
+}
+
+/**
+ * Record a retry of a model call
+ * @param {string} endpoint - Endpoint name
+ */
+function recordRetry(endpoint) {
+  llmRetries.inc({ endpoint });
+}
+
+/**
+ * Record a model reply that could not be used
+ * @param {string} endpoint - Endpoint name
+ * @param {string} type - parse | validation
+ */
+function recordOutputFailure(endpoint, type) {
+  llmOutputFailures.inc({ endpoint, type });
+}
+
+/**
+ * Record a request rejected for exceeding a limit
+ * @param {string} limiter - ip (per-IP rate limit) | api_key (API key quota)
+ */
+function recordRateLimitRejection(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+/**
+ * Record a provider circuit breaker changing state
+ * @param {string} provider - Provider name
+ * @param {string} state - closed | half-open | open
+ */
+function recordCircuitState(provider, state) {
+  circuitState.set({ provider }, CIRCUIT_STATE_VALUES[state]);
+}
+
+/**
+ * GET /metrics handler
+ */
+async function metricsHandler(req, res, next) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  metricsMiddleware,
+  metricsHandler,
+  captureRouteBase,
+  recordCacheLookup,
+  recordModelCall,
+  recordRetry,
+  recordOutputFailure,
+  recordRateLimitRejection,
+  recordCircuitState,
+};
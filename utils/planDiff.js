@@ -0,0 +1,84 @@
+/**
+ * Structured diff between two versions of a project plan
+ * Used to tell clients what a refinement actually changed
+ */
+
+const TOP_LEVEL_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficulty',
+  'estimatedTime',
+  'estimatedCost',
+  'safetyTips',
+  'commonMistakes',
+  'successCriteria',
+];
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase().trim();
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Diff two lists of named items (steps by title, materials/tools by name)
+ * @param {Array} before - Items in the original plan
+ * @param {Array} after - Items in the revised plan
+ * @param {string} nameField - Field that identifies an item
+ * @param {Array<string>} ignoredFields - Fields whose changes don't count (e.g. stepNumber)
+ * @returns {Object} { added, removed, modified: [{ name, fields }] }
+ */
+function diffNamedList(before = [], after = [], nameField, ignoredFields = []) {
+  const beforeByName = new Map(before.map((item) => [normalizeName(item[nameField]), item]));
+  const afterByName = new Map(after.map((item) => [normalizeName(item[nameField]), item]));
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, item] of afterByName) {
+    const original = beforeByName.get(key);
+    if (!original) {
+      added.push(item[nameField]);
+      continue;
+    }
+
+    const fields = [...new Set([...Object.keys(original), ...Object.keys(item)])]
+      .filter((field) => field !== nameField && !ignoredFields.includes(field))
+      .filter((field) => !isEqual(original[field], item[field]));
+
+    if (fields.length > 0) {
+      modified.push({ name: item[nameField], fields });
+    }
+  }
+
+  for (const [key, item] of beforeByName) {
+    if (!afterByName.has(key)) {
+      removed.push(item[nameField]);
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Summarize what changed between two project plans
+ * @param {Object} before - Original plan
+ * @param {Object} after - Revised plan
+ * @returns {Object} { fields, steps, materials, tools }
+ */
+function diffPlans(before, after) {
+  return {
+    fields: TOP_LEVEL_FIELDS.filter((field) => !isEqual(before[field], after[field])),
+    steps: diffNamedList(before.steps, after.steps, 'title', ['stepNumber', 'order']),
+    materials: diffNamedList(before.materials, after.materials, 'name'),
+    tools: diffNamedList(before.tools, after.tools, 'name'),
+  };
+}
+
+module.exports = {
+  diffPlans,
+};
@@ -0,0 +1,59 @@
+/**
+ * Helpers for reading steps out of a project plan
+ * Plans come in two step formats (stepNumber + instruction, or order + instructions)
+ */
+
+/**
+ * Normalize a step from either format
+ * @param {Object} step - Step object
+ * @param {number} fallbackNumber - Step number to use when the step has none
+ * @returns {Object} { stepNumber, title, instruction, warning, estimatedTime }
+ */
+function normalizeStep(step, fallbackNumber = null) {
+  return {
+    stepNumber: step.stepNumber ?? step.order ?? fallbackNumber,
+    title: step.title,
+    instruction: step.instruction || step.instructions || null,
+    warning: step.warning || null,
+    estimatedTime: step.estimatedTime || null,
+  };
+}
+
+/**
+ * Pick a step out of a plan by its number, accepting both step formats
+ * @param {Object} plan - Project plan
+ * @param {number} stepNumber - 1-based step number
+ * @returns {Object|null} { stepNumber, title, instruction, warning, estimatedTime } or null
+ */
+function findPlanStep(plan, stepNumber) {
+  const steps = plan.steps || [];
+  const step = steps.find((candidate) => (candidate.stepNumber ?? candidate.order) === stepNumber)
+    || steps[stepNumber - 1];
+  if (!step) {
+    return null;
+  }
+
+  return { ...normalizeStep(step), stepNumber };
+}
+
+/**
+ * Number of the plan step with a given title
+ * @param {Object} plan - Project plan
+ * @param {string} title - Step title (compared case-insensitively)
+ * @returns {number|null} 1-based step number or null if no step matches
+ */
+function findPlanStepNumber(plan, title) {
+  const wanted = String(title || '').toLowerCase().trim();
+  const steps = plan.steps || [];
+  const index = steps.findIndex((step) => String(step.title || '').toLowerCase().trim() === wanted);
+  if (index === -1) {
+    return null;
+  }
+  return steps[index].stepNumber ?? steps[index].order ?? index + 1;
+}
+
+module.exports = {
+  normalizeStep,
+  findPlanStep,
+  findPlanStepNumber,
+};
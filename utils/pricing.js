@@ -0,0 +1,70 @@
+/**
+ * Per-model token prices, used to turn token usage into dollar cost
+ * Prices are USD per million tokens. Add or override models with MODEL_PRICES, e.g.
+ * MODEL_PRICES='{"llama3.1":{"input":0,"output":0}}'
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('pricing');
+
+// Matched by prefix, so dated versions (claude-3-5-sonnet-20241022) find their family
+const BUILT_IN_PRICES = {
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+};
+
+function loadPrices() {
+  if (!process.env.MODEL_PRICES) {
+    return BUILT_IN_PRICES;
+  }
+  try {
+    return { ...BUILT_IN_PRICES, ...JSON.parse(process.env.MODEL_PRICES) };
+  } catch (error) {
+    log.error('Ignoring invalid MODEL_PRICES', { error: error.message });
+    return BUILT_IN_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+// Longest prefix first so claude-3-5-haiku doesn't match a shorter entry
+const priceKeys = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+/**
+ * Price of a model
+ * @param {string} model - Model name as reported by the provider
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(model) {
+  const name = String(model || '');
+  const key = priceKeys.find((prefix) => name === prefix || name.startsWith(prefix));
+  return key ? prices[key] : null;
+}
+
+/**
+ * Dollar cost of a model call
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+function calculateCost(model, usage) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+module.exports = {
+  getModelPrice,
+  calculateCost,
+};
@@ -0,0 +1,211 @@
+/**
+ * Persistent store for generated project plans
+ * One JSON file per project under PROJECTS_DIR, so plans outlive the cache
+ * Projects saved with an API key are only visible to that key, like jobs in jobQueue
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('projects');
+
+const PROJECTS_DIR = path.resolve(process.env.PROJECTS_DIR || './data/projects');
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// In-memory index of project summaries, loaded from disk on first use
+let indexPromise = null;
+
+/**
+ * Summary fields used for listing and filtering
+ * @param {Object} record - Stored project record
+ * @returns {Object} Project summary
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    title: record.plan.title,
+    category: record.plan.category,
+    difficulty: record.plan.difficulty,
+    estimatedTime: record.plan.estimatedTime,
+    createdAt: record.createdAt,
+    cacheKey: record.cacheKey,
+    owner: record.owner || null,
+  };
+}
+
+function isVisibleTo(summary, owner) {
+  return !summary.owner || summary.owner === owner;
+}
+
+function projectPath(id) {
+  return path.join(PROJECTS_DIR, `${id}.json`);
+}
+
+/**
+ * Load (once) the summaries of all stored projects
+ * @returns {Promise<Map>} id -> summary
+ */
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = (async () => {
+      await fs.mkdir(PROJECTS_DIR, { recursive: true });
+      const index = new Map();
+
+      for (const file of await fs.readdir(PROJECTS_DIR)) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+        try {
+          const record = JSON.parse(await fs.readFile(path.join(PROJECTS_DIR, file), 'utf8'));
+          index.set(record.id, toSummary(record));
+        } catch (error) {
+          log.warn('Skipping unreadable file', { file, error: error.message });
+        }
+      }
+
+      log.info('Loaded saved projects', { count: index.size });
+      return index;
+    })();
+  }
+  return indexPromise;
+}
+
+/**
+ * Save a generated plan
+ * @param {Object} plan - Validated project plan
+ * @param {Object} options - { description, context, cacheKey, parentId, owner (API key ID, if any) }
+ * @returns {Promise<Object>} Stored record { id, createdAt, owner, description, context, cacheKey, parentId, plan }
+ */
+async function saveProject(plan, options = {}) {
+  const index = await loadIndex();
+
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    owner: options.owner || null,
+    description: options.description || null,
+    context: options.context || null,
+    cacheKey: options.cacheKey || null,
+    parentId: options.parentId || null, // Set when the plan is a refinement of another project
+    plan,
+  };
+
+  // Write then rename so readers never see a half-written file
+  const file = projectPath(record.id);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+
+  index.set(record.id, toSummary(record));
+  log.info('Saved project', { id: record.id, title: plan.title });
+  return record;
+}
+
+/**
+ * Get a saved project by ID
+ * @param {string} id - Project ID
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {Promise<Object|null>} Stored record, or null if not found or owned by another key
+ */
+async function getProject(id, owner = null) {
+  if (!ID_PATTERN.test(id)) {
+    return null;
+  }
+  const index = await loadIndex();
+  const summary = index.get(id);
+  if (!summary || !isVisibleTo(summary, owner)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(projectPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      index.delete(id);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the most recent project generated for a cache key by the same owner
+ * Lets cache hits return the same project ID as the original generation
+ * @param {string} cacheKey - Cache key of the generation request
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {Promise<Object|null>} Project summary or null
+ */
+async function findProjectByCacheKey(cacheKey, owner = null) {
+  const index = await loadIndex();
+  let latest = null;
+  for (const summary of index.values()) {
+    if (summary.cacheKey === cacheKey && summary.owner === (owner || null) && (!latest || summary.createdAt > latest.createdAt)) {
+      latest = summary;
+    }
+  }
+  return latest;
+}
+
+/**
+ * List saved projects visible to the caller, newest first
+ * @param {Object} options - { page, limit, category, difficulty, owner (API key ID of the caller) }
+ * @returns {Promise<Object>} { projects, pagination: { page, limit, total, totalPages } }
+ */
+async function listProjects(options = {}) {
+  const index = await loadIndex();
+  const page = Math.max(1, options.page || 1);
+  const limit = Math.min(100, Math.max(1, options.limit || 20));
+  const category = options.category?.toLowerCase();
+  const difficulty = options.difficulty?.toLowerCase();
+
+  const matching = Array.from(index.values())
+    .filter((summary) => isVisibleTo(summary, options.owner || null))
+    .filter((summary) => !category || (summary.category || '').toLowerCase() === category)
+    .filter((summary) => !difficulty || (summary.difficulty || '').toLowerCase() === difficulty)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const projects = matching
+    .slice((page - 1) * limit, page * limit)
+    .map(({ cacheKey, owner, ...summary }) => summary);
+
+  return {
+    projects,
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / limit),
+    },
+  };
+}
+
+/**
+ * Delete a saved project
+ * @param {string} id - Project ID
+ * @param {string|null} owner - API key ID of the caller
+ * @returns {Promise<boolean>} True if a project was deleted
+ */
+async function deleteProject(id, owner = null) {
+  if (!ID_PATTERN.test(id)) {
+    return false;
+  }
+  const index = await loadIndex();
+  const summary = index.get(id);
+  if (!summary || !isVisibleTo(summary, owner)) {
+    return false;
+  }
+
+  await fs.rm(projectPath(id), { force: true });
+  index.delete(id);
+  log.info('Deleted project', { id });
+  return true;
+}
+
+module.exports = {
+  saveProject,
+  getProject,
+  findProjectByCacheKey,
+  listProjects,
+  deleteProject,
+};
@@ -2,6 +2,8 @@
  * Constructs prompts for Claude API to generate product recommendations
  */
 
+const { validateAgainst } = require('./schemas');
+
 /**
  * System message that sets the context for Claude
  * @returns {string} System message
@@ -121,22 +123,17 @@ function buildEnhancementPrompt(materialData) {
 /**
  * Validate material data has required fields
  * @param {Object} materialData - Material information
- * @returns {Object} { valid: boolean, error: string }
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
  */
 function validateMaterialData(materialData) {
   if (!materialData) {
     return { valid: false, error: 'Material data is required' };
   }
-
-  if (!materialData.name || typeof materialData.name !== 'string') {
-    return { valid: false, error: 'Material name is required and must be a string' };
+  if (typeof materialData !== 'object' || Array.isArray(materialData)) {
+    return { valid: false, error: 'Material data must be an object' };
   }
 
-  if (!materialData.quantity || typeof materialData.quantity !== 'number') {
-    return { valid: false, error: 'Material quantity is required and must be a number' };
-  }
-
-  return { valid: true };
+  return validateAgainst('enhanceMaterialRequest', materialData);
 }
 
 /**
@@ -310,12 +307,17 @@ function buildProjectGenerationUserMessage(projectData) {
   const experienceLevel = context?.experienceLevel || 'Beginner';
   const budget = context?.budget || 'Moderate';
 
+  // Answers to clarifying questions are just more context about the job
+  const answerLines = (projectData.answers || [])
+    .map(({ question, answer }) => `\n- ${question.trim().replace(/[?:.]+$/, '')}: ${answer}`)
+    .join('');
+
   return `Problem/Project Description: ${description}
 
 Context:
 - Home Type: ${homeType}
 - Experience Level: ${experienceLevel}
-- Budget Preference: ${budget}
+- Budget Preference: ${budget}${answerLines}
 
 Generate a complete DIY project plan that a ${experienceLevel.toLowerCase()} can follow. Be specific about materials (with brands when helpful), include clear step-by-step instructions, and prioritize safety.`;
 }
@@ -340,31 +342,256 @@ function buildProjectGenerationPrompt(projectData) {
 /**
  * Validate project generation request data
  * @param {Object} projectData - Project request information
- * @returns {Object} { valid: boolean, error: string }
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
  */
 function validateProjectData(projectData) {
   if (!projectData) {
     return { valid: false, error: 'Project data is required' };
   }
 
-  if (!projectData.description || typeof projectData.description !== 'string') {
-    return { valid: false, error: 'Project description is required and must be a string' };
-  }
+  return validateAgainst('generateProjectRequest', projectData);
+}
 
-  if (projectData.description.length < 10) {
-    return { valid: false, error: 'Project description must be at least 10 characters' };
-  }
+/**
+ * Build prompt for the clarifying questions asked before generating a plan
+ * @param {Object} projectData - { description, context }
+ * @returns {Object} Prompt structure with system and messages
+ */
+function buildProjectQuestionsPrompt(projectData) {
+  const { description, context } = projectData;
+
+  const systemMessage = `You are a helpful assistant for first-time homeowners working on DIY projects.
+Before a step-by-step plan is written, you ask the few clarifying questions that would most change it.
+
+Guidelines:
+1. **Ask 2-5 questions** - Only ones whose answers change the steps, materials, tools or safety advice (e.g. fixture type, wall material, what is already installed, size/measurements, what has been tried)
+2. **Never ask about** home type, experience level or budget - those are already collected separately
+3. **Make them easy to answer** - Prefer "choice" questions with 2-6 short options a beginner would recognise; include "Not sure" where a beginner might not know
+4. **Use "number"** for measurements or counts and give the unit; use "text" only when options can't cover it
+5. **Plain language** - Define any technical term inside the question
+
+CRITICAL:
+- Respond with ONLY valid JSON, no extra text before or after
+- Do NOT wrap the JSON in markdown code blocks
+
+Response Format (JSON only, no markdown):
+{
+  "questions": [
+    {
+      "id": "short_snake_case_id",
+      "question": "What kind of faucet is it?",
+      "type": "choice",
+      "options": ["Single handle", "Two handles", "Not sure"],
+      "unit": null,
+      "reason": "Single and two-handle faucets are repaired differently"
+    }
+  ]
+}`;
+
+  const userMessage = `Problem/Project Description: ${description}
+
+Context:
+- Home Type: ${context?.homeType || 'Unknown'}
+- Experience Level: ${context?.experienceLevel || 'Beginner'}
+- Budget Preference: ${context?.budget || 'Moderate'}
+
+What should we ask before writing the plan?`;
+
+  return {
+    system: systemMessage,
+    messages: [
+      {
+        role: 'user',
+        content: userMessage,
+      },
+    ],
+  };
+}
+
+/**
+ * Build prompt for revising an existing project plan from a user instruction
+ * Reuses the project generation guidelines so revised plans meet the same bar
+ * @param {Object} refineData - { plan, instruction }
+ * @returns {Object} Prompt structure with system and messages
+ */
+function buildProjectRefinementPrompt(refineData) {
+  const { plan, instruction } = refineData;
+
+  const systemMessage = `${getProjectGenerationSystemMessage()}
+
+REVISING AN EXISTING PLAN:
+You will be given a project plan the user is already following and an instruction describing what they want changed.
+- Apply the instruction and ONLY the changes it implies; keep every other step, material and tool as it is
+- Keep unchanged steps word-for-word, and renumber steps so stepNumber stays sequential from 1
+- If the user says they already own something, remove it from materials/tools rather than suggesting a replacement
+- If the instruction changes the situation (e.g. a different wall type), update every affected step, material, tool, safety tip and cost
+- Never remove safety steps or safety equipment to make a plan cheaper or shorter
+- Return the COMPLETE revised plan in the same JSON format, not just the changes`;
+
+  const userMessage = `Current Project Plan (JSON):
+${JSON.stringify(plan, null, 2)}
+
+User's Instruction: ${instruction}
+
+Revise the plan according to the instruction and return the complete updated plan.`;
+
+  return {
+    system: systemMessage,
+    messages: [
+      {
+        role: 'user',
+        content: userMessage,
+      },
+    ],
+  };
+}
+
+/**
+ * Build prompt for diagnosing a problem the user hit during a step
+ * @param {Object} troubleshootData - { plan, step: { stepNumber, title, instruction, warning }, symptom }
+ * @returns {Object} Prompt structure with system and messages
+ */
+function buildTroubleshootingPrompt(troubleshootData) {
+  const { plan, step, symptom } = troubleshootData;
+
+  const systemMessage = `You are an experienced home repair troubleshooter helping first-time homeowners.
+The user was following a DIY project and something went wrong at a specific step. Work out what is most likely causing the symptom they describe.
+
+Guidelines:
+1. **Rank by probability** - List 2-5 likely causes, most likely first, with an honest probability estimate (0 to 1) for each
+2. **Diagnose before fixing** - For each cause give concrete checks the user can do to confirm or rule it out
+3. **Beginner-friendly fixes** - Give step-by-step fix instructions using the project's tools and materials where possible
+4. **Safety first** - Set "stopAndCallPro" to true for any cause involving gas, mains electrical faults (breakers that keep tripping, scorching, buzzing), structural damage, sewage, or water near electrics, and explain why in "proReason"
+5. **Immediate safety** - If anything should be done right now (shut off water, turn off the breaker, ventilate), say so in "safetyWarning"
+
+CRITICAL:
+- Respond with ONLY valid JSON, no extra text before or after
+- Do NOT wrap the JSON in markdown code blocks
+- Make sure all JSON strings are properly escaped
+
+Response Format (JSON only, no markdown):
+{
+  "summary": "One or two sentences on what is most likely going on",
+  "causes": [
+    {
+      "cause": "Short name of the likely cause",
+      "probability": 0.6,
+      "checks": ["How to confirm or rule out this cause"],
+      "fixes": ["Step-by-step fix instruction"],
+      "stopAndCallPro": false,
+      "proReason": null
+    }
+  ],
+  "stopAndCallPro": false,
+  "safetyWarning": null
+}`;
+
+  const stepList = (plan.steps || [])
+    .map((planStep, index) => `${planStep.stepNumber ?? planStep.order ?? index + 1}. ${planStep.title}`)
+    .join('\n');
+  const materials = (plan.materials || []).map((material) => material.name).join(', ');
+  const tools = (plan.tools || []).map((tool) => tool.name).join(', ');
+
+  const userMessage = `Project: ${plan.title}
+Project Category: ${plan.category || 'General DIY'}
+All Steps:
+${stepList}
+Materials: ${materials || 'None listed'}
+Tools: ${tools || 'None listed'}
+
+Current Step ${step.stepNumber}: "${step.title}"
+Instruction: ${step.instruction || 'Not provided'}${step.warning ? `\nWarning: ${step.warning}` : ''}
+
+Problem: ${symptom}
+
+What is most likely causing this, and what should the user do?`;
+
+  return {
+    system: systemMessage,
+    messages: [
+      {
+        role: 'user',
+        content: userMessage,
+      },
+    ],
+  };
+}
+
+/**
+ * Build prompt for diagnosing a home problem from photos
+ * @param {Object} diagnoseData - { images: [{ mediaType, data }], description, context }
+ * @returns {Object} Prompt structure with system and messages (images as content blocks)
+ */
+function buildPhotoDiagnosisPrompt(diagnoseData) {
+  const { images, description, context } = diagnoseData;
+
+  const systemMessage = `You are an experienced home inspector helping first-time homeowners who can't tell what is wrong.
+Look carefully at the photos and identify the most likely problem.
+
+Guidelines:
+1. **Describe what you see** - List the visual evidence (stain shape and color, cracks, corrosion, scorch marks) that supports your diagnosis
+2. **Be honest about confidence** - Use "low" when the photos could show several different problems, and say in "photoTips" what photo would help
+3. **Suggest a project** - Write "suggestedProjectDescription" as the user would describe the repair, specific enough to plan from (e.g. "Repair a water-stained ceiling below a bathroom and find the leak causing it")
+4. **Safety first** - Flag hazards (mold, asbestos-era materials, electrical scorching, sagging ceilings, gas appliances). Set "stopAndCallPro" when a beginner should not attempt it, and "urgent" when it should be dealt with today
+
+CRITICAL:
+- Respond with ONLY valid JSON, no extra text before or after
+- Do NOT wrap the JSON in markdown code blocks
 
-  return { valid: true };
+Response Format (JSON only, no markdown):
+{
+  "identifiedIssue": "Water stain from a slow leak above the ceiling",
+  "confidence": "medium",
+  "observations": ["Brown ring-shaped stain with darker edges", "Paint bubbling near the center"],
+  "category": "Plumbing",
+  "suggestedProjectDescription": "Find and fix the leak causing a water stain on my ceiling, then repair the stained drywall",
+  "safety": {
+    "stopAndCallPro": false,
+    "urgent": true,
+    "hazards": ["Possible mold if the drywall stays wet"],
+    "reason": null
+  },
+  "photoTips": null
+}`;
+
+  const userMessage = `${images.length === 1 ? 'Photo' : `${images.length} photos`} of a problem in my home.
+What I can tell you: ${description || 'Nothing - I am not sure what it is'}
+Home Type: ${context?.homeType || 'Unknown'}
+
+What is the problem, and what should I do about it?`;
+
+  return {
+    system: systemMessage,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          ...images.map((image) => ({
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: image.mediaType,
+              data: image.data,
+            },
+          })),
+          {
+            type: 'text',
+            text: userMessage,
+          },
+        ],
+      },
+    ],
+  };
 }
 
 /**
  * Build prompt for explaining a specific project step
- * @param {Object} stepData - Step information
+ * @param {Object} stepData - { stepTitle, projectTitle, projectCategory } plus, when known,
+ *   step ({ instruction, warning, ... }), previousStep, nextStep and tools (names) from the plan
  * @returns {Object} Prompt structure
  */
 function buildStepExplanationPrompt(stepData) {
-  const { stepTitle, projectTitle, projectCategory } = stepData;
+  const { stepTitle, projectTitle, projectCategory, step, previousStep, nextStep, tools } = stepData;
 
   const systemMessage = `You are a helpful assistant for first-time homeowners working on DIY projects.
 Your role is to provide clear, detailed explanations of project steps for complete beginners.
@@ -376,6 +603,7 @@ Guidelines:
 4. **Provide context** - Explain why this step matters in the bigger picture
 5. **Warn about pitfalls** - Mention common mistakes beginners make with specific avoidance tips
 6. **Be encouraging** - Reassure that this is doable for beginners
+7. **Stay consistent with the plan** - When the plan's instruction, warning, neighbouring steps or tools are given, explain THAT approach; don't contradict it or rely on tools the plan doesn't list
 
 CRITICAL:
 - Respond with ONLY valid JSON, no extra text before or after
@@ -399,9 +627,18 @@ Response Format (JSON only, no markdown):
   ]
 }`;
 
+  // Whatever we know about the plan the user is following
+  const planContext = [
+    step?.instruction ? `Plan Instruction: ${step.instruction}` : null,
+    step?.warning ? `Plan Warning: ${step.warning}` : null,
+    previousStep ? `Previous Step: "${previousStep.title}"` : null,
+    nextStep ? `Next Step: "${nextStep.title}"` : null,
+    tools?.length ? `Tools in the Plan: ${tools.join(', ')}` : null,
+  ].filter(Boolean);
+
   const userMessage = `Step: "${stepTitle}"
 Project: ${projectTitle}
-Project Category: ${projectCategory || 'General DIY'}
+Project Category: ${projectCategory || 'General DIY'}${planContext.length ? `\n${planContext.join('\n')}` : ''}
 
 Please provide a detailed explanation of how to complete this step. Remember, the user is a beginner doing this for the first time.`;
 
@@ -419,22 +656,59 @@ Please provide a detailed explanation of how to complete this step. Remember, th
 /**
  * Validate step explanation request
  * @param {Object} stepData - Step information
- * @returns {Object} { valid: boolean, error: string }
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
  */
 function validateStepData(stepData) {
   if (!stepData) {
     return { valid: false, error: 'Step data is required' };
   }
 
-  if (!stepData.stepTitle || typeof stepData.stepTitle !== 'string') {
-    return { valid: false, error: 'Step title is required and must be a string' };
-  }
+  return validateAgainst('explainStepRequest', stepData);
+}
+
+/**
+ * Build prompt for a follow-up question about a step
+ * Earlier turns are replayed as messages so the model sees the whole conversation
+ * @param {Object} chatData - { step, project, turns: [{ question, answer }], question }
+ * @returns {Object} Prompt structure with system and messages
+ */
+function buildStepChatPrompt(chatData) {
+  const { step, project = {}, turns = [], question } = chatData;
+
+  const stepDetails = [
+    `Step: "${step.title}"`,
+    step.instruction ? `Instruction: ${step.instruction}` : null,
+    step.warning ? `Warning: ${step.warning}` : null,
+    step.estimatedTime ? `Estimated Time: ${step.estimatedTime}` : null,
+    `Project: ${project.title || 'Not specified'}`,
+    `Project Category: ${project.category || 'General DIY'}`,
+  ].filter(Boolean).join('\n');
+
+  const systemMessage = `You are a helpful assistant for first-time homeowners working on DIY projects.
+The user is in the middle of the step below and is asking follow-up questions about it.
+
+${stepDetails}
 
-  if (stepData.stepTitle.length < 3) {
-    return { valid: false, error: 'Step title must be at least 3 characters' };
+Guidelines:
+1. **Answer the question asked** - Keep to this step and this project; say so if a question is about something else
+2. **Use simple language** - Define technical terms inline
+3. **Be practical** - Give concrete techniques, tool settings and what the result should look/sound/feel like
+4. **Safety first** - If the situation sounds unsafe or beyond a beginner (gas, mains wiring, structural work, water damage), say clearly to stop and call a professional
+5. **Be concise** - Short paragraphs or a numbered list; no more than about 200 words
+
+Respond in plain text, not JSON or markdown code blocks.`;
+
+  const messages = [];
+  for (const turn of turns) {
+    messages.push({ role: 'user', content: turn.question });
+    messages.push({ role: 'assistant', content: turn.answer });
   }
+  messages.push({ role: 'user', content: question });
 
-  return { valid: true };
+  return {
+    system: systemMessage,
+    messages,
+  };
 }
 
 module.exports = {
@@ -449,8 +723,21 @@ module.exports = {
   buildProjectGenerationUserMessage,
   buildProjectGenerationPrompt,
   validateProjectData,
+  buildProjectQuestionsPrompt,
+
+  // Project refinement
+  buildProjectRefinementPrompt,
 
   // Step explanation
   buildStepExplanationPrompt,
   validateStepData,
+
+  // Step chat
+  buildStepChatPrompt,
+
+  // Troubleshooting
+  buildTroubleshootingPrompt,
+
+  // Photo diagnosis
+  buildPhotoDiagnosisPrompt,
 };
@@ -0,0 +1,242 @@
+/**
+ * Tool definitions used to force structured output
+ * Each endpoint's response shape is described as a tool input schema; in tools mode
+ * the model is required to "call" the tool and we read its arguments directly.
+ */
+
+const RECOMMENDATION_TOOL = {
+  name: 'submit_product_recommendation',
+  description: 'Submit the product recommendation for the requested DIY material.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      primaryBrand: { type: 'string', description: 'Specific brand name' },
+      primaryModel: { type: 'string', description: 'Specific product line/model' },
+      specification: { type: 'string', description: 'Detailed specs (size, finish, key features)' },
+      reasoning: { type: 'string', description: 'Why this product suits this project and a beginner' },
+      alternatives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            brand: { type: 'string' },
+            model: { type: 'string' },
+            note: { type: 'string', description: 'When to choose this option' },
+          },
+          required: ['brand', 'model', 'note'],
+        },
+      },
+      buyingTips: { type: 'string', description: 'Practical tips for purchasing this material' },
+      quantitySuggestion: { type: 'string', description: 'Confirmation or adjustment of quantity with reasoning' },
+    },
+    required: [
+      'primaryBrand',
+      'primaryModel',
+      'specification',
+      'reasoning',
+      'alternatives',
+      'buyingTips',
+      'quantitySuggestion',
+    ],
+  },
+};
+
+const PROJECT_PLAN_TOOL = {
+  name: 'submit_project_plan',
+  description: 'Submit the complete beginner-friendly DIY project plan.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      category: { type: 'string', enum: ['Plumbing', 'Electrical', 'Painting', 'Carpentry', 'Other'] },
+      difficulty: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+      estimatedTime: { type: 'string' },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            stepNumber: { type: 'integer' },
+            title: { type: 'string' },
+            instruction: { type: 'string', description: 'What, How and Why combined into clear instructions' },
+            estimatedTime: { type: 'string' },
+            warning: { type: 'string' },
+          },
+          required: ['stepNumber', 'title', 'instruction'],
+        },
+      },
+      materials: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Consumables only, not reusable tools' },
+            quantity: { type: 'number' },
+            unit: { type: 'string' },
+            category: { type: 'string' },
+            specification: { type: 'string' },
+            notes: { type: 'string' },
+          },
+          required: ['name', 'quantity'],
+        },
+      },
+      tools: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Reusable items only' },
+            specification: { type: 'string' },
+            required: { type: 'boolean' },
+            alternatives: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  specification: { type: 'string' },
+                  tradeoff: { type: 'string' },
+                },
+                required: ['name', 'specification'],
+              },
+            },
+            usage: { type: 'string' },
+          },
+          required: ['name'],
+        },
+      },
+      safetyTips: { type: 'array', items: { type: 'string' } },
+      estimatedCost: { type: 'string' },
+      commonMistakes: { type: 'array', items: { type: 'string' } },
+      successCriteria: { type: 'string' },
+    },
+    required: [
+      'title',
+      'description',
+      'category',
+      'difficulty',
+      'estimatedTime',
+      'steps',
+      'materials',
+      'tools',
+      'safetyTips',
+      'estimatedCost',
+      'commonMistakes',
+    ],
+  },
+};
+
+const PROJECT_QUESTIONS_TOOL = {
+  name: 'submit_clarifying_questions',
+  description: 'Submit the clarifying questions to ask before writing the project plan.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 5,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Short snake_case identifier' },
+            question: { type: 'string' },
+            type: { type: 'string', enum: ['choice', 'number', 'text'] },
+            options: { type: 'array', items: { type: 'string' }, description: 'Required for choice questions' },
+            unit: { type: 'string', description: 'Unit for number questions' },
+            reason: { type: 'string', description: 'How the answer changes the plan' },
+          },
+          required: ['id', 'question', 'type'],
+        },
+      },
+    },
+    required: ['questions'],
+  },
+};
+
+const STEP_EXPLANATION_TOOL = {
+  name: 'submit_step_explanation',
+  description: 'Submit the detailed beginner explanation of the project step.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      explanation: { type: 'string', description: '3-5 paragraph detailed explanation' },
+      keyPoints: { type: 'array', items: { type: 'string' } },
+      visualCues: { type: 'string' },
+      estimatedTime: { type: 'string' },
+      commonMistakes: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['explanation', 'keyPoints', 'visualCues', 'estimatedTime', 'commonMistakes'],
+  },
+};
+
+const PHOTO_DIAGNOSIS_TOOL = {
+  name: 'submit_photo_diagnosis',
+  description: 'Submit the diagnosis of the home problem shown in the photos.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      identifiedIssue: { type: 'string', description: 'What the problem most likely is, in plain language' },
+      confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+      observations: { type: 'array', items: { type: 'string' }, description: 'What in the photos supports the diagnosis' },
+      category: { type: 'string', enum: ['Plumbing', 'Electrical', 'Painting', 'Carpentry', 'Other'] },
+      suggestedProjectDescription: {
+        type: 'string',
+        description: 'A project description the user can send to generate a repair plan',
+      },
+      safety: {
+        type: 'object',
+        properties: {
+          stopAndCallPro: { type: 'boolean' },
+          urgent: { type: 'boolean', description: 'True when it should be dealt with today (active leak, electrical risk, mold spreading)' },
+          hazards: { type: 'array', items: { type: 'string' } },
+          reason: { type: 'string' },
+        },
+        required: ['stopAndCallPro', 'urgent', 'hazards'],
+      },
+      photoTips: { type: 'string', description: 'What photo would help if confidence is low' },
+    },
+    required: ['identifiedIssue', 'confidence', 'observations', 'suggestedProjectDescription', 'safety'],
+  },
+};
+
+const TROUBLESHOOTING_TOOL = {
+  name: 'submit_troubleshooting',
+  description: 'Submit the likely causes of the problem the user hit, most likely first.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One or two sentences on what is most likely going on' },
+      causes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            cause: { type: 'string' },
+            probability: { type: 'number', description: 'Estimated probability from 0 to 1' },
+            checks: { type: 'array', items: { type: 'string' }, description: 'How to confirm or rule out this cause' },
+            fixes: { type: 'array', items: { type: 'string' }, description: 'Beginner-friendly fix instructions' },
+            stopAndCallPro: { type: 'boolean', description: 'True when fixing this safely needs a professional' },
+            proReason: { type: 'string', description: 'Why a professional is needed, when stopAndCallPro is true' },
+          },
+          required: ['cause', 'probability', 'checks', 'fixes', 'stopAndCallPro'],
+        },
+      },
+      stopAndCallPro: { type: 'boolean' },
+      safetyWarning: { type: 'string', description: 'Anything to do right now to stay safe (e.g. turn off the breaker)' },
+    },
+    required: ['summary', 'causes', 'stopAndCallPro'],
+  },
+};
+
+module.exports = {
+  RECOMMENDATION_TOOL,
+  PROJECT_PLAN_TOOL,
+  PROJECT_QUESTIONS_TOOL,
+  STEP_EXPLANATION_TOOL,
+  PHOTO_DIAGNOSIS_TOOL,
+  TROUBLESHOOTING_TOOL,
+};
@@ -0,0 +1,572 @@
+/**
+ * JSON Schemas for every request body and AI response
+ * One declarative schema per type; enforced by middleware/validateRequest.js for
+ * requests and by claudeService for model output, and published at GET /api/schemas/:name
+ */
+
+const Ajv = require('ajv');
+
+const optionalString = { type: ['string', 'null'] };
+
+const projectContextSchema = {
+  type: 'object',
+  properties: {
+    projectTitle: optionalString,
+    projectCategory: optionalString,
+  },
+};
+
+const projectGenerationContextSchema = {
+  type: 'object',
+  properties: {
+    homeType: optionalString,
+    experienceLevel: optionalString,
+    budget: optionalString,
+  },
+};
+
+// A single step as sent by clients (either step format)
+const planStepInputSchema = {
+  type: 'object',
+  properties: {
+    stepNumber: { type: 'integer', minimum: 1 },
+    order: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 3 },
+    instruction: optionalString,
+    instructions: optionalString,
+    warning: optionalString,
+    estimatedTime: optionalString,
+  },
+  required: ['title'],
+};
+
+const schemas = {
+  // ---- Requests ----
+
+  enhanceMaterialRequest: {
+    title: 'EnhanceMaterialRequest',
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      category: optionalString,
+      unit: optionalString,
+      quantity: { type: 'number', exclusiveMinimum: 0 },
+      specification: optionalString,
+      projectContext: projectContextSchema,
+    },
+    required: ['name', 'quantity'],
+  },
+
+  enhanceMaterialsRequest: {
+    title: 'EnhanceMaterialsRequest',
+    type: 'object',
+    properties: {
+      // Items are validated one by one so a bad item fails alone, not the batch
+      materials: { type: 'array', minItems: 1 },
+      projectContext: projectContextSchema,
+    },
+    required: ['materials'],
+  },
+
+  generateProjectRequest: {
+    title: 'GenerateProjectRequest',
+    type: 'object',
+    properties: {
+      description: { type: 'string', minLength: 10 },
+      context: projectGenerationContextSchema,
+      // Answers to the questions from POST /api/project-questions
+      answers: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            question: { type: 'string', minLength: 1, maxLength: 300 },
+            answer: { type: ['string', 'number', 'boolean'] },
+          },
+          required: ['question', 'answer'],
+        },
+      },
+      // With ?async=1: POSTed the finished job, signed with JOB_CALLBACK_SECRET
+      callbackUrl: { type: 'string', maxLength: 2048, pattern: '^https?://' },
+    },
+    required: ['description'],
+  },
+
+  projectQuestionsRequest: {
+    title: 'ProjectQuestionsRequest',
+    type: 'object',
+    properties: {
+      description: { type: 'string', minLength: 10 },
+      context: projectGenerationContextSchema,
+    },
+    required: ['description'],
+  },
+
+  refineProjectRequest: {
+    title: 'RefineProjectRequest',
+    type: 'object',
+    description: 'Provide either an inline plan or the projectId of a saved plan',
+    properties: {
+      plan: { type: 'object' },
+      projectId: { type: 'string', minLength: 1 },
+      instruction: { type: 'string', minLength: 3, maxLength: 1000 },
+    },
+    required: ['instruction'],
+    anyOf: [{ required: ['plan'] }, { required: ['projectId'] }],
+  },
+
+  explainStepRequest: {
+    title: 'ExplainStepRequest',
+    type: 'object',
+    description: 'Provide the step (or just its stepTitle), optionally with the plan it belongs to, inline or as a saved projectId',
+    properties: {
+      step: planStepInputSchema,
+      stepTitle: { type: 'string', minLength: 3 },
+      projectTitle: optionalString,
+      projectCategory: optionalString,
+      plan: { type: 'object' },
+      projectId: { type: 'string', minLength: 1 },
+    },
+    anyOf: [{ required: ['step'] }, { required: ['stepTitle'] }],
+  },
+
+  stepChatSessionRequest: {
+    title: 'StepChatSessionRequest',
+    type: 'object',
+    description: 'Provide either an inline step or the projectId and stepNumber of a step in a saved plan',
+    properties: {
+      step: planStepInputSchema,
+      projectTitle: optionalString,
+      projectCategory: optionalString,
+      projectId: { type: 'string', minLength: 1 },
+      stepNumber: { type: 'integer', minimum: 1 },
+    },
+    anyOf: [{ required: ['step'] }, { required: ['projectId', 'stepNumber'] }],
+  },
+
+  stepChatMessageRequest: {
+    title: 'StepChatMessageRequest',
+    type: 'object',
+    properties: {
+      question: { type: 'string', minLength: 2, maxLength: 1000 },
+    },
+    required: ['question'],
+  },
+
+  troubleshootRequest: {
+    title: 'TroubleshootRequest',
+    type: 'object',
+    description: 'Provide either an inline plan or the projectId of a saved plan',
+    properties: {
+      plan: { type: 'object' },
+      projectId: { type: 'string', minLength: 1 },
+      stepNumber: { type: 'integer', minimum: 1 },
+      symptom: { type: 'string', minLength: 5, maxLength: 1000 },
+    },
+    required: ['stepNumber', 'symptom'],
+    anyOf: [{ required: ['plan'] }, { required: ['projectId'] }],
+  },
+
+  diagnosePhotoRequest: {
+    title: 'DiagnosePhotoRequest',
+    type: 'object',
+    properties: {
+      images: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 4,
+        items: {
+          type: 'object',
+          properties: {
+            // Base64 or a data URL; the image type is detected from the bytes
+            data: { type: 'string', minLength: 1 },
+            mediaType: optionalString,
+          },
+          required: ['data'],
+        },
+      },
+      description: { type: ['string', 'null'], maxLength: 1000 },
+      context: projectGenerationContextSchema,
+    },
+    required: ['images'],
+  },
+
+  createApiKeyRequest: {
+    title: 'CreateApiKeyRequest',
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      // Requests per quota window by endpoint (enhance, generate, ...); merged over the defaults
+      quotas: {
+        type: 'object',
+        additionalProperties: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+
+  // ---- AI responses ----
+
+  recommendation: {
+    title: 'Recommendation',
+    type: 'object',
+    properties: {
+      primaryBrand: { type: 'string' },
+      primaryModel: { type: 'string' },
+      specification: { type: 'string' },
+      reasoning: { type: 'string' },
+      alternatives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            brand: { type: 'string', minLength: 1 },
+            model: { type: 'string', minLength: 1 },
+            note: { type: 'string', minLength: 1 },
+          },
+          required: ['brand', 'model', 'note'],
+        },
+      },
+      buyingTips: { type: 'string' },
+      quantitySuggestion: { type: 'string' },
+    },
+    required: [
+      'primaryBrand',
+      'primaryModel',
+      'specification',
+      'reasoning',
+      'alternatives',
+      'buyingTips',
+      'quantitySuggestion',
+    ],
+  },
+
+  projectPlan: {
+    title: 'ProjectPlan',
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      category: { type: 'string' },
+      difficulty: { type: 'string' },
+      estimatedTime: { type: 'string' },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          // New format: stepNumber + instruction; old format: order + instructions
+          properties: {
+            stepNumber: { type: 'integer', minimum: 1 },
+            order: { type: 'integer', minimum: 1 },
+            title: { type: 'string', minLength: 1 },
+            instruction: { type: 'string', minLength: 1 },
+            instructions: { type: 'string', minLength: 1 },
+            estimatedTime: { type: 'string' },
+            warning: optionalString,
+          },
+          required: ['title'],
+          allOf: [
+            { anyOf: [{ required: ['stepNumber'] }, { required: ['order'] }] },
+            { anyOf: [{ required: ['instruction'] }, { required: ['instructions'] }] },
+          ],
+        },
+      },
+      materials: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            // Models write counts ("2") and ranges ("2-3") as well as numbers
+            quantity: { type: ['number', 'string'] },
+            unit: optionalString,
+            category: optionalString,
+            specification: optionalString,
+            notes: optionalString,
+          },
+          required: ['name'],
+        },
+      },
+      tools: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            specification: { type: 'string' },
+            required: { type: 'boolean' },
+            alternatives: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  specification: { type: 'string' },
+                  tradeoff: { type: 'string' },
+                },
+                required: ['name', 'specification'],
+              },
+            },
+            usage: { type: 'string' },
+          },
+          required: ['name'],
+        },
+      },
+      safetyTips: { type: 'array', items: { type: 'string' } },
+      estimatedCost: { type: 'string' },
+      commonMistakes: { type: 'array', items: { type: 'string' } },
+      // Optional for backward compatibility
+      successCriteria: { type: 'string' },
+    },
+    required: [
+      'title',
+      'description',
+      'category',
+      'difficulty',
+      'estimatedTime',
+      'steps',
+      'materials',
+      'tools',
+      'safetyTips',
+      'estimatedCost',
+      'commonMistakes',
+    ],
+  },
+
+  planChanges: {
+    title: 'PlanChanges',
+    type: 'object',
+    properties: {
+      fields: { type: 'array', items: { type: 'string' } },
+      steps: { $ref: '#/definitions/listChanges' },
+      materials: { $ref: '#/definitions/listChanges' },
+      tools: { $ref: '#/definitions/listChanges' },
+    },
+    required: ['fields', 'steps', 'materials', 'tools'],
+    definitions: {
+      listChanges: {
+        type: 'object',
+        properties: {
+          added: { type: 'array', items: { type: 'string' } },
+          removed: { type: 'array', items: { type: 'string' } },
+          modified: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                fields: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['name', 'fields'],
+            },
+          },
+        },
+        required: ['added', 'removed', 'modified'],
+      },
+    },
+  },
+
+  projectQuestions: {
+    title: 'ProjectQuestions',
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 5,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            question: { type: 'string', minLength: 1 },
+            type: { enum: ['choice', 'number', 'text'] },
+            options: { type: 'array', items: { type: 'string', minLength: 1 } },
+            unit: optionalString,
+            reason: { type: 'string' },
+          },
+          required: ['id', 'question', 'type'],
+          // Choice questions are useless without something to choose from
+          if: { properties: { type: { const: 'choice' } } },
+          then: { properties: { options: { type: 'array', minItems: 2 } }, required: ['options'] },
+        },
+      },
+    },
+    required: ['questions'],
+  },
+
+  photoDiagnosis: {
+    title: 'PhotoDiagnosis',
+    type: 'object',
+    properties: {
+      identifiedIssue: { type: 'string', minLength: 1 },
+      confidence: { enum: ['low', 'medium', 'high'] },
+      observations: { type: 'array', items: { type: 'string' } },
+      category: { type: 'string' },
+      // Ready to send as the description to POST /api/generate-project
+      suggestedProjectDescription: { type: 'string', minLength: 10 },
+      safety: {
+        type: 'object',
+        properties: {
+          stopAndCallPro: { type: 'boolean' },
+          urgent: { type: 'boolean' },
+          hazards: { type: 'array', items: { type: 'string' } },
+          reason: optionalString,
+        },
+        required: ['stopAndCallPro', 'urgent', 'hazards'],
+      },
+      photoTips: optionalString,
+    },
+    required: ['identifiedIssue', 'confidence', 'observations', 'suggestedProjectDescription', 'safety'],
+  },
+
+  troubleshooting: {
+    title: 'Troubleshooting',
+    type: 'object',
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      causes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            cause: { type: 'string', minLength: 1 },
+            probability: { type: 'number', minimum: 0, maximum: 1 },
+            checks: { type: 'array', minItems: 1, items: { type: 'string' } },
+            fixes: { type: 'array', minItems: 1, items: { type: 'string' } },
+            stopAndCallPro: { type: 'boolean' },
+            proReason: optionalString,
+          },
+          required: ['cause', 'probability', 'checks', 'fixes', 'stopAndCallPro'],
+        },
+      },
+      // True when any cause needs a professional, so clients can show one banner
+      stopAndCallPro: { type: 'boolean' },
+      safetyWarning: optionalString,
+    },
+    required: ['summary', 'causes', 'stopAndCallPro'],
+  },
+
+  stepExplanation: {
+    title: 'StepExplanation',
+    type: 'object',
+    properties: {
+      explanation: { type: 'string', minLength: 1 },
+      keyPoints: { type: 'array', items: { type: 'string' } },
+      visualCues: { type: 'string' },
+      estimatedTime: { type: 'string' },
+      commonMistakes: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['explanation', 'keyPoints', 'visualCues', 'estimatedTime', 'commonMistakes'],
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = {};
+
+/**
+ * Get a registered schema with its published $id
+ * @param {string} name - Schema name
+ * @returns {Object|null} JSON Schema or null if unknown
+ */
+function getSchema(name) {
+  if (!Object.prototype.hasOwnProperty.call(schemas, name)) {
+    return null;
+  }
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `/api/schemas/${name}`,
+    ...schemas[name],
+  };
+}
+
+/**
+ * Names of all registered schemas
+ * @returns {Array<string>} Schema names
+ */
+function listSchemas() {
+  return Object.keys(schemas);
+}
+
+/**
+ * Turn an Ajv instancePath (/steps/2/title) into a readable path (steps[2].title)
+ * @param {string} instancePath - JSON Pointer from Ajv
+ * @param {string} child - Optional child property to append
+ * @returns {string} Field path
+ */
+function toFieldPath(instancePath, child) {
+  const segments = instancePath.split('/').slice(1);
+  if (child) {
+    segments.push(child);
+  }
+
+  let path = '';
+  for (const segment of segments) {
+    path += /^\d+$/.test(segment) ? `[${segment}]` : `${path ? '.' : ''}${segment}`;
+  }
+  return path || '(root)';
+}
+
+/**
+ * Convert Ajv errors to { path, message } pairs
+ * @param {Array} ajvErrors - Ajv error objects
+ * @returns {Array<Object>} Field-level errors
+ */
+function formatErrors(ajvErrors) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const error of ajvErrors) {
+    // anyOf/allOf/if wrappers repeat the information in their children
+    if (error.keyword === 'anyOf' || error.keyword === 'allOf' || error.keyword === 'if') {
+      continue;
+    }
+
+    const field = error.keyword === 'required'
+      ? { path: toFieldPath(error.instancePath, error.params.missingProperty), message: 'is required' }
+      : { path: toFieldPath(error.instancePath), message: error.message };
+
+    const key = `${field.path}:${field.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      errors.push(field);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate data against a named schema
+ * @param {string} name - Schema name
+ * @param {*} data - Data to validate
+ * @returns {Object} { valid: boolean, error: string, errors: Array<{ path, message }> }
+ */
+function validateAgainst(name, data) {
+  if (!validators[name]) {
+    if (!schemas[name]) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    validators[name] = ajv.compile(schemas[name]);
+  }
+
+  const validate = validators[name];
+  if (validate(data)) {
+    return { valid: true };
+  }
+
+  const errors = formatErrors(validate.errors);
+  return {
+    valid: false,
+    error: errors.map((field) => `${field.path} ${field.message}`).join('; '),
+    errors,
+  };
+}
+
+module.exports = {
+  getSchema,
+  listSchemas,
+  validateAgainst,
+};
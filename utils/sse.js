@@ -0,0 +1,53 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+/**
+ * Check whether the client asked for a streamed response
+ * Accepts either `Accept: text/event-stream` or a `?stream=1` query flag
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the response should be streamed
+ */
+function wantsEventStream(req) {
+  const streamFlag = req.query?.stream;
+  if (streamFlag === '1' || streamFlag === 'true') {
+    return true;
+  }
+
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Write SSE headers and flush them so the client sees the stream open immediately
+ * @param {Object} res - Express response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx/Railway)
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Send a single named event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  sendEvent,
+};
@@ -0,0 +1,108 @@
+/**
+ * Incremental parser for streamed project plan JSON
+ * Picks complete step objects out of the "steps" array while the model is still writing
+ */
+
+const { extractJson } = require('./jsonExtractor');
+const { createLogger } = require('./logger');
+
+const log = createLogger('stream-parser');
+
+const STEPS_KEY_PATTERN = /"steps"\s*:\s*\[/;
+
+/**
+ * Create a parser that accepts streamed text chunks and returns finished steps
+ * @returns {Object} Parser with push(chunk) => Array<Object> of newly completed steps
+ */
+function createStepStreamParser() {
+  let buffer = '';
+  let position = 0;
+  let phase = 'seeking'; // seeking -> inSteps -> done
+  let depth = 0;
+  let isInString = false;
+  let escape = false;
+  let objectStart = -1;
+
+  /**
+   * Parse a single step object, repairing it the same way as the full reply
+   * @param {string} text - Raw step object text
+   * @returns {Object|null} Parsed step or null if it could not be parsed
+   */
+  function parseStep(text) {
+    try {
+      return extractJson(text).value;
+    } catch (error) {
+      log.warn('Skipping unparseable step', { error: error.message });
+      return null;
+    }
+  }
+
+  function push(chunk) {
+    const completed = [];
+    buffer += chunk;
+
+    if (phase === 'seeking') {
+      const match = STEPS_KEY_PATTERN.exec(buffer);
+      if (!match) {
+        return completed;
+      }
+      position = match.index + match[0].length;
+      phase = 'inSteps';
+    }
+
+    if (phase !== 'inSteps') {
+      return completed;
+    }
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (escape) {
+        escape = false;
+        continue;
+      }
+
+      if (isInString) {
+        if (char === '\\') {
+          escape = true;
+        } else if (char === '"') {
+          isInString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        isInString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0 && char === '{') {
+          objectStart = position;
+        }
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          // Closing bracket of the steps array itself
+          phase = 'done';
+          position++;
+          break;
+        }
+
+        depth--;
+        if (depth === 0 && char === '}' && objectStart !== -1) {
+          const step = parseStep(buffer.slice(objectStart, position + 1));
+          if (step) {
+            completed.push(step);
+          }
+          objectStart = -1;
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  return { push };
+}
+
+module.exports = {
+  createStepStreamParser,
+};
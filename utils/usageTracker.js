@@ -0,0 +1,314 @@
+/**
+ * Token usage, cost and cache accounting
+ * Every model call and cache lookup is added to per-day, per-endpoint totals,
+ * which are saved to USAGE_FILE and reported at GET /api/usage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateCost } = require('./pricing');
+const { createLogger } = require('./logger');
+
+const log = createLogger('usage');
+
+const USAGE_FILE = path.resolve(process.env.USAGE_FILE || './data/usage.json');
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS) || 90;
+const SAVE_DELAY_MS = 5000;
+
+// Cache key prefix -> endpoint; material keys are bare hashes
+const CACHE_KEY_PREFIXES = {
+  project: 'generate',
+  questions: 'questions',
+  refine: 'refine',
+  step: 'explain',
+  troubleshoot: 'troubleshoot',
+  diagnose: 'diagnose',
+};
+
+// { 'YYYY-MM-DD': { endpoint: bucket } }
+const days = loadDays();
+let saveTimer = null;
+
+function loadDays() {
+  try {
+    return JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8')).days || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read usage file, starting fresh', { error: error.message });
+    }
+    return {};
+  }
+}
+
+function emptyBucket() {
+  return {
+    calls: 0,
+    errors: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+    latencyMsTotal: 0,
+    maxLatencyMs: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    models: {},
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getBucket(endpoint) {
+  const date = today();
+  days[date] = days[date] || {};
+  days[date][endpoint] = days[date][endpoint] || emptyBucket();
+  return days[date][endpoint];
+}
+
+function pruneOldDays() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const date of Object.keys(days)) {
+    if (date < cutoff) {
+      delete days[date];
+    }
+  }
+}
+
+/**
+ * Save totals soon; batches writes when traffic is busy
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    pruneOldDays();
+    try {
+      fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+      fs.writeFileSync(`${USAGE_FILE}.tmp`, JSON.stringify({ days }));
+      fs.renameSync(`${USAGE_FILE}.tmp`, USAGE_FILE);
+    } catch (error) {
+      log.error('Failed to save usage', { error: error.message });
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Record one model call
+ * @param {Object} call - { endpoint, model, usage: { inputTokens, outputTokens }, latencyMs, error }
+ */
+function recordModelCall(call) {
+  const bucket = getBucket(call.endpoint);
+
+  if (call.error) {
+    bucket.errors++;
+    scheduleSave();
+    return;
+  }
+
+  const usage = call.usage || {};
+  const cost = calculateCost(call.model, usage);
+
+  bucket.calls++;
+  bucket.inputTokens += usage.inputTokens || 0;
+  bucket.outputTokens += usage.outputTokens || 0;
+  bucket.costUsd += cost || 0;
+  bucket.latencyMsTotal += call.latencyMs || 0;
+  bucket.maxLatencyMs = Math.max(bucket.maxLatencyMs, call.latencyMs || 0);
+  if (cost === null) {
+    bucket.unpricedCalls++;
+  }
+
+  const model = bucket.models[call.model] || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  model.calls++;
+  model.inputTokens += usage.inputTokens || 0;
+  model.outputTokens += usage.outputTokens || 0;
+  model.costUsd += cost || 0;
+  bucket.models[call.model] = model;
+
+  log.info('Model call', {
+    endpoint: call.endpoint,
+    model: call.model,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    costUsd: cost,
+    latencyMs: call.latencyMs,
+  });
+  scheduleSave();
+}
+
+/**
+ * Record a cache lookup
+ * @param {string} key - Cache key (its prefix identifies the endpoint)
+ * @param {boolean} hit - Whether the lookup was a hit
+ */
+function recordCacheLookup(key, hit) {
+  const prefix = key.includes('_') ? key.slice(0, key.indexOf('_')) : null;
+  const endpoint = prefix ? CACHE_KEY_PREFIXES[prefix] : 'enhance';
+  if (!endpoint) {
+    return;
+  }
+
+  const bucket = getBucket(endpoint);
+  if (hit) {
+    bucket.cacheHits++;
+  } else {
+    bucket.cacheMisses++;
+  }
+  scheduleSave();
+}
+
+function addBucket(target, bucket) {
+  for (const field of ['calls', 'errors', 'inputTokens', 'outputTokens', 'costUsd', 'unpricedCalls',
+    'latencyMsTotal', 'cacheHits', 'cacheMisses']) {
+    target[field] += bucket[field];
+  }
+  target.maxLatencyMs = Math.max(target.maxLatencyMs, bucket.maxLatencyMs);
+  for (const [name, model] of Object.entries(bucket.models)) {
+    const totals = target.models[name] || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    totals.calls += model.calls;
+    totals.inputTokens += model.inputTokens;
+    totals.outputTokens += model.outputTokens;
+    totals.costUsd += model.costUsd;
+    target.models[name] = totals;
+  }
+  return target;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Report view of a bucket
+ * @param {Object} bucket - Raw totals
+ * @param {number} savings - Estimated dollars saved by cache hits
+ * @returns {Object} Summary
+ */
+function summarize(bucket, savings) {
+  const lookups = bucket.cacheHits + bucket.cacheMisses;
+  const models = {};
+  for (const [name, model] of Object.entries(bucket.models)) {
+    models[name] = { ...model, costUsd: roundUsd(model.costUsd) };
+  }
+
+  return {
+    calls: bucket.calls,
+    errors: bucket.errors,
+    inputTokens: bucket.inputTokens,
+    outputTokens: bucket.outputTokens,
+    costUsd: roundUsd(bucket.costUsd),
+    unpricedCalls: bucket.unpricedCalls,
+    avgLatencyMs: bucket.calls ? Math.round(bucket.latencyMsTotal / bucket.calls) : 0,
+    maxLatencyMs: bucket.maxLatencyMs,
+    cacheHits: bucket.cacheHits,
+    cacheMisses: bucket.cacheMisses,
+    cacheHitRate: lookups ? Math.round((bucket.cacheHits / lookups) * 1000) / 1000 : 0,
+    estimatedSavingsUsd: roundUsd(savings),
+    models,
+  };
+}
+
+/**
+ * Spend so far today and this month (UTC), across all endpoints
+ * @returns {Object} { day: { costUsd, tokens }, month: { costUsd, tokens } }
+ */
+function getCurrentSpend() {
+  const date = today();
+  const spend = {
+    day: { costUsd: 0, tokens: 0 },
+    month: { costUsd: 0, tokens: 0 },
+  };
+
+  for (const [day, endpoints] of Object.entries(days)) {
+    if (day.slice(0, 7) !== date.slice(0, 7)) {
+      continue;
+    }
+    for (const bucket of Object.values(endpoints)) {
+      const tokens = bucket.inputTokens + bucket.outputTokens;
+      spend.month.costUsd += bucket.costUsd;
+      spend.month.tokens += tokens;
+      if (day === date) {
+        spend.day.costUsd += bucket.costUsd;
+        spend.day.tokens += tokens;
+      }
+    }
+  }
+  return spend;
+}
+
+/**
+ * Usage aggregated by day and endpoint
+ * Savings are estimated as cache hits x the average cost of a model call for that endpoint
+ * @param {Object} options - { days: number of days to include, newest first (default 30) }
+ * @returns {Object} { from, to, totals, byEndpoint, days: [{ date, totals, endpoints }] }
+ */
+function getUsageReport(options = {}) {
+  const dayCount = Math.min(RETENTION_DAYS, Math.max(1, options.days || 30));
+  const dates = []; // Newest first
+  for (let offset = 0; offset < dayCount; offset++) {
+    dates.push(new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  }
+
+  // Average call cost per endpoint over all retained days, for the savings estimate
+  const allTime = {};
+  for (const endpoints of Object.values(days)) {
+    for (const [endpoint, bucket] of Object.entries(endpoints)) {
+      allTime[endpoint] = addBucket(allTime[endpoint] || emptyBucket(), bucket);
+    }
+  }
+  const averageCost = (endpoint) => {
+    const bucket = allTime[endpoint];
+    return bucket && bucket.calls ? bucket.costUsd / bucket.calls : 0;
+  };
+
+  const totals = emptyBucket();
+  let totalSavings = 0;
+  const byEndpoint = {};
+  const endpointSavings = {};
+  const dayReports = [];
+
+  for (const date of dates) {
+    const dayTotals = emptyBucket();
+    let daySavings = 0;
+    const endpoints = {};
+
+    for (const [endpoint, bucket] of Object.entries(days[date] || {})) {
+      const savings = bucket.cacheHits * averageCost(endpoint);
+      endpoints[endpoint] = summarize(bucket, savings);
+      addBucket(dayTotals, bucket);
+      daySavings += savings;
+
+      byEndpoint[endpoint] = addBucket(byEndpoint[endpoint] || emptyBucket(), bucket);
+      endpointSavings[endpoint] = (endpointSavings[endpoint] || 0) + savings;
+    }
+
+    addBucket(totals, dayTotals);
+    totalSavings += daySavings;
+    dayReports.push({ date, totals: summarize(dayTotals, daySavings), endpoints });
+  }
+
+  const endpointReports = {};
+  for (const [endpoint, bucket] of Object.entries(byEndpoint)) {
+    endpointReports[endpoint] = summarize(bucket, endpointSavings[endpoint]);
+  }
+
+  return {
+    from: dates[dates.length - 1],
+    to: dates[0],
+    totals: summarize(totals, totalSavings),
+    byEndpoint: endpointReports,
+    days: dayReports,
+  };
+}
+
+module.exports = {
+  recordModelCall,
+  recordCacheLookup,
+  getCurrentSpend,
+  getUsageReport,
+};